@@ -0,0 +1,113 @@
+'use strict';
+import { pool } from './db-connection.mjs';
+import { debugLog } from '../util/logger.mjs';
+
+/*
+ * * A ban without expires lasts until it is lifted.
+ * CREATE TABLE ip_ban (
+ *     ip INET PRIMARY KEY,
+ *     reason TEXT NOT NULL,
+ *     created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     expires TIMESTAMPTZ
+ * );
+ */
+
+// * Banning a banned ip replaces the reason and expiry.
+const CREATE_BAN = {
+    name: 'ins-ip-ban',
+    text: 'INSERT INTO ip_ban (ip, reason, expires) VALUES ($1, $2, $3) '
+            + 'ON CONFLICT (ip) DO UPDATE SET reason = EXCLUDED.reason, created = NOW(), expires = EXCLUDED.expires '
+            + 'RETURNING host(ip) AS "ip", reason, created, expires;',
+    rowMode: 'json',
+    values: [1, 2, 3]
+}
+
+const GET_ACTIVE_BANS = {
+    name: 'get-active-ip-bans',
+    text: 'SELECT host(ip) AS "ip", reason, created, expires FROM ip_ban WHERE expires IS NULL OR expires > NOW();',
+    rowMode: 'json',
+}
+
+const DELETE_BAN = {
+    name: 'del-ip-ban',
+    text: 'DELETE FROM ip_ban WHERE ip = $1;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1]
+}
+
+// * Expired bans are no longer read, removing them only keeps the table small.
+const DELETE_EXPIRED_BANS = {
+    name: 'del-expired-ip-bans',
+    text: 'DELETE FROM ip_ban WHERE expires <= NOW();',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+}
+
+/**
+ *
+ * @param {String} ip
+ * @param {String} reason
+ * @param {Date|null} expires - null bans until lifted.
+ * @returns {Object|false} ip, reason, created, expires
+ */
+export async function createBan(ip, reason, expires) {
+    try {
+        let query = await pool.query(CREATE_BAN, [ ip, reason, expires ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0];
+            }
+        }
+        throw `Ban was not created with values: ${ip}, ${reason}, ${expires}.`;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ *
+ * @returns {Array<Object>|undefined} ip, reason, created, expires
+ */
+export async function getActiveBans() {
+    try {
+        let query = await pool.query(GET_ACTIVE_BANS);
+        if(Boolean(query)) {
+            return query.rows;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ *
+ * @param {String} ip
+ * @returns {Boolean} true when a ban was lifted.
+ */
+export async function deleteBan(ip) {
+    try {
+        let query = await pool.query(DELETE_BAN, [ ip ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return true;
+            }
+        }
+        return false;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+export async function deleteExpiredBans() {
+    try {
+        let query = await pool.query(DELETE_EXPIRED_BANS);
+        if(Boolean(query)) {
+            return query.rowCount;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
\ No newline at end of file
@@ -2,12 +2,101 @@
 import { pool } from './db-connection.mjs';
 import { debugLog } from '../util/logger.mjs';
 
+/*
+ * * Earlier contents of edited comments, newest revision last.
+ * CREATE TABLE comment_revision (
+ *     id SERIAL PRIMARY KEY,
+ *     comment_id INTEGER NOT NULL REFERENCES comment (id) ON DELETE CASCADE,
+ *     content TEXT NOT NULL,
+ *     revised TIMESTAMPTZ NOT NULL DEFAULT NOW()
+ * );
+ * ALTER TABLE comment ADD COLUMN edited TIMESTAMPTZ;
+ *
+ * * Removed comments that still have replies stay as a "[deleted]" tombstone so the replies keep their parent.
+ * ALTER TABLE comment ADD COLUMN deleted TIMESTAMPTZ;
+ *
+ * * Sum of the comment's votes, kept in step by db-votes.mjs so pages can be sorted by it.
+ * ALTER TABLE comment ADD COLUMN score INTEGER NOT NULL DEFAULT 0;
+ *
+ * * Comments held for moderation are only shown to their author until approved.
+ * ALTER TABLE comment ADD COLUMN status VARCHAR(8) NOT NULL DEFAULT 'approved'
+ *     CHECK (status IN ('pending', 'approved', 'rejected'));
+ */
+
+const TOMBSTONE_TEXT = '[deleted]';
+
+/**
+ * Approved comments, and the pending comments of the viewer.
+ * @param {String} table - alias of the comment table.
+ * @param {String} viewerParam - query parameter holding the viewer's login id. ie: '$3'
+ * @returns {String} query condition
+ */
+function getVisibleText(table, viewerParam) {
+    return `(${table}.status = 'approved' OR (${table}.status = 'pending' AND ${table}."user.id" = ${viewerParam}))`;
+}
 
 const CREATE_COMMENT = {
     name: 'ins-comment-w-values',
-    text: 'INSERT INTO comment (content, "comment.id", "user.id") VALUES ($1, $2, $3);',
-    rowMode: 'array', //rowMode : array - bypasses json parser
-    values: [1, 2, 3]
+    // * Replies are only accepted when the parent exists, is approved and is not deleted.
+    text: 'WITH ins AS (INSERT INTO comment (content, "comment.id", "user.id", status) '
+                + 'SELECT $1, $2, $3, $4 WHERE $2::integer IS NULL OR EXISTS (SELECT 1 FROM comment parent '
+                    + "WHERE parent.id = $2 AND parent.deleted IS NULL AND parent.status = 'approved') "
+                + 'RETURNING *) '
+            + 'SELECT ins.id AS "comment_id", ins.content, ins."comment.id" AS "thread_id", login.name AS user, ins.created, ins.edited, ins."user.id" AS "user_id", ins.score, ins.status '
+            + 'FROM ins LEFT JOIN login ON ins."user.id" = login.id;',
+    rowMode: 'json',
+    values: [1, 2, 3, 4]
+}
+
+// * The previous content is kept as a revision in the same statement as the update.
+// * A held edit goes back to review, $4 is null to keep the status the comment has.
+const UPDATE_COMMENT_W_REVISION = {
+    name: 'upd-comment-w-revision',
+    text: 'WITH prev AS (SELECT comment.id, comment.content FROM comment WHERE comment.id = $1 AND comment."user.id" = $2 AND comment.deleted IS NULL FOR UPDATE), '
+            + 'rev AS (INSERT INTO comment_revision (comment_id, content) SELECT prev.id, prev.content FROM prev RETURNING comment_id), '
+            + 'upd AS (UPDATE comment SET content = $3, edited = NOW(), status = COALESCE($4, comment.status) FROM rev WHERE comment.id = rev.comment_id RETURNING comment.*) '
+            + 'SELECT upd.id AS "comment_id", upd.content, upd."comment.id" AS "thread_id", login.name AS user, upd.created, upd.edited, upd."user.id" AS "user_id", upd.score, upd.status '
+            + 'FROM upd LEFT JOIN login ON upd."user.id" = login.id;',
+    rowMode: 'json',
+    values: [1, 2, 3, 4]
+}
+
+// * A comment with replies becomes a tombstone, otherwise it is removed.
+// * FOR UPDATE holds back new replies until the choice is made.
+const DELETE_COMMENT = {
+    name: 'del-comment-w-user',
+    text: 'WITH target AS ( '
+                + 'SELECT comment.id, comment."comment.id" AS "parent_id", '
+                    + 'EXISTS (SELECT 1 FROM comment reply WHERE reply."comment.id" = comment.id) AS "has_replies" '
+                + 'FROM comment WHERE comment.id = $1 AND comment."user.id" = $2 AND comment.deleted IS NULL FOR UPDATE '
+            + '), soft AS ( '
+                + 'UPDATE comment SET deleted = NOW() FROM target WHERE comment.id = target.id AND target."has_replies" RETURNING comment.id '
+            + '), hard AS ( '
+                + 'DELETE FROM comment USING target WHERE comment.id = target.id AND NOT target."has_replies" RETURNING comment.id '
+            + ') '
+            + 'SELECT target.id, target."parent_id", EXISTS (SELECT 1 FROM soft) AS "tombstone" FROM target;',
+    rowMode: 'json',
+    values: [1, 2]
+}
+
+// * Once a tombstone loses its last reply there is nothing left to keep in place.
+const DELETE_EMPTY_TOMBSTONE = {
+    name: 'del-empty-tombstone',
+    text: 'DELETE FROM comment WHERE comment.id = $1 AND comment.deleted IS NOT NULL '
+            + 'AND NOT EXISTS (SELECT 1 FROM comment reply WHERE reply."comment.id" = comment.id) '
+            + 'RETURNING comment."comment.id" AS "parent_id";',
+    rowMode: 'json',
+    values: [1]
+}
+
+const GET_COMMENT_REVISIONS = {
+    name: 'get-comment-revisions',
+    text: 'SELECT comment_revision.content, comment_revision.revised FROM comment_revision '
+            + 'JOIN comment ON comment.id = comment_revision.comment_id '
+            + "WHERE comment_revision.comment_id = $1 AND comment.deleted IS NULL AND comment.status = 'approved' "
+            + 'ORDER BY comment_revision.revised, comment_revision.id;',
+    rowMode: 'json',
+    values: [1]
 }
 
 const GET_COMMENT = {
@@ -30,21 +119,179 @@ const GET_ALL_THREADS = {
     rowMode: 'array', //rowMode : array - bypasses json parser
 }
 
-// TODO ONLY Accept confirmed comments
 const GET_ALL_THREADS_PUBLIC = {
-    name: 'get-comments',
-    text: 'SELECT comment.id AS "comment_id", comment.content, comment."comment.id" AS "thread_id", login.name AS user, comment.created '
-            + 'FROM comment LEFT JOIN login ON comment."user.id" = login.id;',
+    name: 'get-comments-public',
+    text: 'SELECT comment.id AS "comment_id", '
+                + `CASE WHEN comment.deleted IS NULL THEN comment.content ELSE '${TOMBSTONE_TEXT}' END AS content, `
+                + 'comment."comment.id" AS "thread_id", '
+                + `CASE WHEN comment.deleted IS NULL THEN login.name ELSE '${TOMBSTONE_TEXT}' END AS user, `
+                + 'comment.created, comment.deleted IS NOT NULL AS "deleted" '
+            + 'FROM comment LEFT JOIN login ON comment."user.id" = login.id '
+            + "WHERE comment.status = 'approved' "
+            + 'ORDER BY comment.created, comment.id;',
+    rowMode: 'json',
+}
+
+// * Newest threads first, the cursor is the id of the last thread on the previous page.
+const GET_THREAD_PAGE_IDS = {
+    name: 'get-thread-page-ids',
+    text: 'SELECT comment.id, comment.score FROM comment '
+            + 'WHERE comment."comment.id" IS NULL AND ($1::integer IS NULL OR comment.id < $1) '
+            + `AND ${getVisibleText('comment', '$3')} `
+            + 'ORDER BY comment.id DESC LIMIT $2;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1, 2, 3]
+}
+
+// * Highest score first, the cursor carries the score $4 and id $1 of the last thread shown.
+// ? The score is not read again, the page continues even when that thread has since been removed.
+const GET_THREAD_PAGE_IDS_TOP = {
+    name: 'get-thread-page-ids-top',
+    text: 'SELECT comment.id, comment.score FROM comment '
+            + 'WHERE comment."comment.id" IS NULL AND ($1::integer IS NULL OR (comment.score, comment.id) < ($4::integer, $1::integer)) '
+            + `AND ${getVisibleText('comment', '$3')} `
+            + 'ORDER BY comment.score DESC, comment.id DESC LIMIT $2;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1, 2, 3, 4]
+}
+
+// * Replies are only paged under a comment the viewer can see, and only when every comment above it can be seen too.
+// ? COALESCE - a pending comment of another viewer is NULL, bool_and would skip it.
+const GET_VISIBLE_COMMENT_PATH = {
+    name: 'get-visible-comment-path',
+    text: 'WITH RECURSIVE path AS ( '
+                + `SELECT comment.id, comment."comment.id" AS "parent_id", COALESCE(${getVisibleText('comment', '$2')}, false) AS "visible" `
+                + 'FROM comment WHERE comment.id = $1 '
+                + 'UNION ALL '
+                + `SELECT comment.id, comment."comment.id", COALESCE(${getVisibleText('comment', '$2')}, false) `
+                + 'FROM comment JOIN path ON comment.id = path."parent_id" '
+            + ') '
+            + 'SELECT COUNT(*) > 0 AND COALESCE(bool_and(path."visible"), false) FROM path;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1, 2]
+}
+
+// * Replies read oldest first, the cursor is the id of the last reply already shown.
+const GET_REPLY_PAGE_IDS = {
+    name: 'get-reply-page-ids',
+    text: 'SELECT comment.id, comment.score FROM comment '
+            + 'WHERE comment."comment.id" = $1 AND ($2::integer IS NULL OR comment.id > $2) '
+            + `AND ${getVisibleText('comment', '$4')} `
+            + 'ORDER BY comment.id LIMIT $3;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1, 2, 3, 4]
+}
+
+// * Highest score first, the cursor carries the score $5 and id $2 of the last reply shown.
+const GET_REPLY_PAGE_IDS_TOP = {
+    name: 'get-reply-page-ids-top',
+    text: 'SELECT comment.id, comment.score FROM comment '
+            + 'WHERE comment."comment.id" = $1 AND ($2::integer IS NULL '
+                + 'OR comment.score < $5::integer OR (comment.score = $5::integer AND comment.id > $2::integer)) '
+            + `AND ${getVisibleText('comment', '$4')} `
+            + 'ORDER BY comment.score DESC, comment.id LIMIT $3;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1, 2, 3, 4, 5]
+}
+
+/**
+ * Loads the given comments and, at every depth, only the first $2 replies of each comment.
+ * * reply_count lets the renderer know when more replies can be requested.
+ * * viewer_vote is the vote of the signed in user $3, who also sees their own pending replies.
+ * @param {String} replyOrder - order of the replies under each comment.
+ * @returns {String} query text
+ */
+function getCommentTreesText(replyOrder) {
+    return 'WITH RECURSIVE ranked AS ( '
+                + 'SELECT comment.id, comment."comment.id" AS "parent_id", '
+                    + `ROW_NUMBER() OVER (PARTITION BY comment."comment.id" ORDER BY ${replyOrder}) AS "reply_rank" `
+                + `FROM comment WHERE comment."comment.id" IS NOT NULL AND ${getVisibleText('comment', '$3')} `
+            + '), tree AS ( '
+                + 'SELECT comment.id FROM comment WHERE comment.id = ANY($1::integer[]) '
+                + 'UNION ALL '
+                + 'SELECT ranked.id FROM ranked JOIN tree ON ranked."parent_id" = tree.id WHERE ranked."reply_rank" <= $2 '
+            + ') '
+            + 'SELECT comment.id AS "comment_id", '
+                + `CASE WHEN comment.deleted IS NULL THEN comment.content ELSE '${TOMBSTONE_TEXT}' END AS content, `
+                + 'comment."comment.id" AS "thread_id", '
+                + `CASE WHEN comment.deleted IS NULL THEN login.name ELSE '${TOMBSTONE_TEXT}' END AS user, `
+                + 'comment.created, '
+                + 'CASE WHEN comment.deleted IS NULL THEN comment.edited END AS edited, '
+                + 'CASE WHEN comment.deleted IS NULL THEN comment."user.id" END AS "user_id", '
+                + 'comment.deleted IS NOT NULL AS "deleted", '
+                + 'comment.score, comment.status, '
+                + '(SELECT vote.value FROM comment_vote vote WHERE vote.comment_id = comment.id AND vote.login_id = $3) AS "viewer_vote", '
+                + `(SELECT COUNT(*) FROM comment reply WHERE reply."comment.id" = comment.id AND ${getVisibleText('reply', '$3')})::integer AS "reply_count" `
+            + 'FROM tree JOIN comment ON comment.id = tree.id LEFT JOIN login ON comment."user.id" = login.id '
+            + `ORDER BY array_position($1::integer[], comment.id), ${replyOrder};`;
+}
+
+const GET_COMMENT_TREES_PUBLIC = {
+    name: 'get-comment-trees-public',
+    text: getCommentTreesText('comment.id'),
     rowMode: 'json',
+    values: [1, 2, 3]
+}
+
+const GET_COMMENT_TREES_PUBLIC_TOP = {
+    name: 'get-comment-trees-public-top',
+    text: getCommentTreesText('comment.score DESC, comment.id'),
+    rowMode: 'json',
+    values: [1, 2, 3]
+}
+
+// * Oldest first so the queue is worked in the order comments were written.
+const GET_PENDING_COMMENTS = {
+    name: 'get-pending-comments',
+    text: 'SELECT comment.id AS "comment_id", comment.content, comment."comment.id" AS "thread_id", login.name AS user, comment.created, comment.edited '
+            + 'FROM comment LEFT JOIN login ON comment."user.id" = login.id '
+            + "WHERE comment.status = 'pending' AND comment.deleted IS NULL "
+            + 'ORDER BY comment.created, comment.id;',
+    rowMode: 'json',
+}
+
+// * Pending comments are approved or rejected, approved comments can still be rejected after being flagged.
+const UPDATE_COMMENT_STATUS = {
+    name: 'upd-comment-status',
+    text: 'WITH upd AS (UPDATE comment SET status = $2 '
+                + "WHERE comment.id = $1 AND comment.deleted IS NULL AND $2 IN ('approved', 'rejected') "
+                    + "AND (comment.status = 'pending' OR (comment.status = 'approved' AND $2 = 'rejected')) RETURNING comment.*) "
+            + 'SELECT upd.id AS "comment_id", upd.content, upd."comment.id" AS "thread_id", login.name AS user, upd.created, upd.edited, upd."user.id" AS "user_id", upd.score, upd.status '
+            + 'FROM upd LEFT JOIN login ON upd."user.id" = login.id;',
+    rowMode: 'json',
+    values: [1, 2]
 }
 
-export async function createComment(content, threadId, userId) {
+// * Puts an approved comment back in the moderation queue.
+const HOLD_COMMENT = {
+    name: 'upd-comment-hold',
+    text: "UPDATE comment SET status = 'pending' WHERE comment.id = $1 AND comment.status = 'approved' AND comment.deleted IS NULL RETURNING comment.id;",
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1]
+}
+
+const COUNT_APPROVED_COMMENTS = {
+    name: 'count-approved-comments-w-user',
+    text: "SELECT COUNT(*) FROM comment WHERE comment.\"user.id\" = $1 AND comment.status = 'approved';",
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1]
+}
+
+/**
+ * 
+ * @param {String} content 
+ * @param {Number} threadId 
+ * @param {Number} userId 
+ * @param {String} [status] - 'approved' | 'pending'
+ * @returns {Object|false} comment_id, content, thread_id, user, created, edited, user_id, score, status
+ */
+export async function createComment(content, threadId, userId, status = 'approved') {
     try {
-        debugLog(6, `Creating comment: ${content} | thread: ${threadId} | user: ${userId} .`);
-        let query = await pool.query(CREATE_COMMENT, [ content, threadId, userId ]);
+        debugLog(6, `Creating comment: ${content} | thread: ${threadId} | user: ${userId} | status: ${status} .`);
+        let query = await pool.query(CREATE_COMMENT, [ content, threadId, userId, status ]);
         if(Boolean(query)) {
             if(query.rowCount === 1) {
-                return true;
+                return query.rows[0];
             }
         }
         throw 'Comment could not be created.';
@@ -54,6 +301,158 @@ export async function createComment(content, threadId, userId) {
     }
 }
 
+/**
+ * Replaces the content of a comment owned by the user and stores the previous content as a revision.
+ * @param {Number} commentId 
+ * @param {Number} userId 
+ * @param {String} content 
+ * @param {String} [status] - 'pending' holds the edit for review, the current status is kept when not given.
+ * @returns {Object|false} comment_id, content, thread_id, user, created, edited, user_id, score, status
+ */
+export async function updateComment(commentId, userId, content, status) {
+    try {
+        debugLog(6, `Updating comment: ${commentId} | user: ${userId} | content: ${content} | status: ${status} .`);
+        let query = await pool.query(UPDATE_COMMENT_W_REVISION, [ commentId, userId, content, status ?? null ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0];
+            }
+        }
+        throw 'Comment does not exist or is not owned by the user.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ * Removes a comment owned by the user, or leaves a tombstone when it has replies.
+ * * Tombstones above a removed comment are removed as well once they have no replies left.
+ * @param {Number} commentId 
+ * @param {Number} userId 
+ * @returns {Object|false} tombstone : Boolean, removed : Array<Number> - ids no longer on the board.
+ */
+export async function deleteComment(commentId, userId) {
+    try {
+        let query = await pool.query(DELETE_COMMENT, [ commentId, userId ]);
+        if(!Boolean(query) || query.rowCount !== 1) {
+            throw 'Comment does not exist or is not owned by the user.';
+        }
+
+        let target = query.rows[0];
+        if(target.tombstone) {
+            return { tombstone : true, removed : [ ] };
+        }
+
+        let removed = [ target.id ];
+        let parentId = target.parent_id;
+        while(Boolean(parentId)) {
+            let pruneQuery = await pool.query(DELETE_EMPTY_TOMBSTONE, [ parentId ]);
+            if(!Boolean(pruneQuery) || pruneQuery.rowCount !== 1) { break; }
+
+            removed.push(parentId);
+            parentId = pruneQuery.rows[0].parent_id;
+        }
+
+        return { tombstone : false, removed : removed };
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ * 
+ * @returns {Array<Object>|undefined} comment_id, content, thread_id, user, created, edited - oldest first
+ */
+export async function getPendingComments() {
+    try {
+        let query = await pool.query(GET_PENDING_COMMENTS);
+        if(Boolean(query)) {
+            return query.rows;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ * Approves or rejects a pending comment.
+ * @param {Number} commentId 
+ * @param {String} status - 'approved' | 'rejected'
+ * @returns {Object|false} comment_id, content, thread_id, user, created, edited, user_id, score, status
+ */
+export async function setCommentStatus(commentId, status) {
+    try {
+        debugLog(6, `Moderating comment: ${commentId} | status: ${status} .`);
+        let query = await pool.query(UPDATE_COMMENT_STATUS, [ commentId, status ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0];
+            }
+        }
+        throw 'Comment does not exist or can not be moved to the status.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ * Hides an approved comment until a moderator reviews it again.
+ * @param {Number} commentId 
+ * @returns {Boolean} true|false
+ */
+export async function holdComment(commentId) {
+    try {
+        let query = await pool.query(HOLD_COMMENT, [ commentId ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return true;
+            }
+        }
+        return false;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ * 
+ * @param {Number} userId 
+ * @returns {Number|undefined} approved comments written by the user.
+ */
+export async function countApprovedComments(userId) {
+    try {
+        let query = await pool.query(COUNT_APPROVED_COMMENTS, [ userId ]);
+        if(Boolean(query)) {
+            return Number.parseInt( query.rows[0][0] );
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ * 
+ * @param {Number} commentId 
+ * @returns {Array<Object>} content, revised - oldest first
+ */
+export async function getCommentRevisions(commentId) {
+    try {
+        let query = await pool.query(GET_COMMENT_REVISIONS, [ commentId ]);
+        if(Boolean(query)) {
+            return query.rows;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
 export async function getComment(commentId) {
     try {
         let query = await pool.query(GET_COMMENT, [ commentId ]);
@@ -113,4 +512,116 @@ export async function getAllThreadsPublic() {
             }
         ];
     }
+}
+
+/**
+ * 
+ * @param {Array<Number>} rootIds 
+ * @param {Number} replyLimit 
+ * @param {String} sort - 'new' | 'top'
+ * @param {Number} [viewerId] - client_id of the signed in user.
+ * @returns {Array<Object>} comment_id, content, thread_id, user, created, edited, user_id, deleted, score, status, viewer_vote, reply_count
+ */
+async function getCommentTreesPublic(rootIds, replyLimit, sort, viewerId) {
+    if(rootIds.length == 0) { return [ ]; }
+
+    let treeQuery = sort == 'top' ? GET_COMMENT_TREES_PUBLIC_TOP : GET_COMMENT_TREES_PUBLIC;
+    let query = await pool.query(treeQuery, [ rootIds, replyLimit, viewerId ?? null ]);
+    if(!Boolean(query)) { throw 'Unable to execute query.'; }
+    return query.rows;
+}
+
+/**
+ * Cursor of the last row of a page, read back by the router's getPageArgs().
+ * @param {Array} row - id, score
+ * @param {String} sort - 'new' | 'top'
+ * @returns {Number|String} id, or "score:id" when sorted by score.
+ */
+function getPageCursor(row, sort) {
+    return sort == 'top' ? `${row[1]}:${row[0]}` : row[0];
+}
+
+/**
+ * 
+ * @param {Object|null} after - id and score of the last thread of the previous page, score is only used by 'top'.
+ * @param {Number} limit 
+ * @param {Number} replyLimit - replies shown under each comment.
+ * @param {String} sort - 'new' | 'top'
+ * @param {Number} [viewerId] - client_id of the signed in user.
+ * @returns {Object<rows, next>} rows for buildThreadTree(), next cursor or null.
+ */
+export async function getThreadPagePublic(after, limit, replyLimit, sort, viewerId) {
+    try {
+        // * One extra row tells if another page exists.
+        let query = sort == 'top'
+            ? await pool.query(GET_THREAD_PAGE_IDS_TOP, [ after?.id ?? null, limit + 1, viewerId ?? null, after?.score ?? null ])
+            : await pool.query(GET_THREAD_PAGE_IDS, [ after?.id ?? null, limit + 1, viewerId ?? null ]);
+        if(!Boolean(query)) { throw 'Unable to execute query.'; }
+
+        let pageRows = query.rows;
+        let next = null;
+        if(pageRows.length > limit) {
+            pageRows = pageRows.slice(0, limit);
+            next = getPageCursor(pageRows[limit - 1], sort);
+        }
+        let threadIds = pageRows.map( (row) => row[0] );
+
+        return {
+            rows : await getCommentTreesPublic(threadIds, replyLimit, sort, viewerId),
+            next : next
+        };
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return {
+            rows : [
+                {
+                    comment_id : 0,
+                    content : 'Comments are not able to load please. \nCheck with the site admin.',
+                    thread_id : null,
+                    user : 'BOT',
+                    created : new Date(),
+                    reply_count : 0
+                }
+            ],
+            next : null
+        };
+    }
+}
+
+/**
+ * 
+ * @param {Number} commentId - comment the replies belong to.
+ * @param {Object|null} after - id and score of the last reply already shown, score is only used by 'top'.
+ * @param {Number} limit 
+ * @param {Number} replyLimit - nested replies shown under each reply.
+ * @param {String} sort - 'new' | 'top'
+ * @param {Number} [viewerId] - client_id of the signed in user.
+ * @returns {Object<rows, next>|null|undefined} rows for buildThreadTree(), next cursor or null - null when the comment can not be seen.
+ */
+export async function getReplyPagePublic(commentId, after, limit, replyLimit, sort, viewerId) {
+    try {
+        let pathQuery = await pool.query(GET_VISIBLE_COMMENT_PATH, [ commentId, viewerId ?? null ]);
+        if(!Boolean(pathQuery)) { throw 'Unable to execute query.'; }
+        if(pathQuery.rows[0][0] !== true) { return null; }
+
+        let query = sort == 'top'
+            ? await pool.query(GET_REPLY_PAGE_IDS_TOP, [ commentId, after?.id ?? null, limit + 1, viewerId ?? null, after?.score ?? null ])
+            : await pool.query(GET_REPLY_PAGE_IDS, [ commentId, after?.id ?? null, limit + 1, viewerId ?? null ]);
+        if(!Boolean(query)) { throw 'Unable to execute query.'; }
+
+        let pageRows = query.rows;
+        let next = null;
+        if(pageRows.length > limit) {
+            pageRows = pageRows.slice(0, limit);
+            next = getPageCursor(pageRows[limit - 1], sort);
+        }
+        let replyIds = pageRows.map( (row) => row[0] );
+
+        return {
+            rows : await getCommentTreesPublic(replyIds, replyLimit, sort, viewerId),
+            next : next
+        };
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
 }
\ No newline at end of file
@@ -2,23 +2,79 @@
 import { pool } from './db-connection.mjs';
 import { debugLog } from '../util/logger.mjs';
 
+/*
+ * * Codes confirm a signup email or reset a forgotten password.
+ * ALTER TABLE ecode ADD COLUMN purpose VARCHAR(7) NOT NULL DEFAULT 'confirm'
+ *     CHECK (purpose IN ('confirm', 'reset'));
+ *
+ * * Times a confirmation code was sent again, resends per signup are limited.
+ * ALTER TABLE ecode ADD COLUMN resend_count INTEGER NOT NULL DEFAULT 0;
+ */
+
 const CREATE_ECODE = {
-    name: 'Set ECode-FK',
-    text: "INSERT INTO ecode (code, login_id) VALUES ($1, $2) RETURNING id;",
+    name: 'Set ECode-FK-Purpose',
+    text: "INSERT INTO ecode (code, login_id, purpose) VALUES ($1, $2, $3) RETURNING id;",
     rowMode: 'array', //rowMode : array - bypasses json parser
-    values: [1, 2]
+    values: [1, 2, 3]
 }
 
 const GET_ECODE_VERIFICATION = {
     name: 'Get ECODE-Verification',
-    text: 'SELECT login.id as "login_id", login.name as "login_name", login.email as "login_email", ecode.id as "ecode_id", nonce.code as "nonce_code", nonce.exp as "nonce_exp" ' 
+    text: 'SELECT login.id as "login_id", login.name as "login_name", login.email as "login_email", login.role as "login_role", ecode.id as "ecode_id", nonce.code as "nonce_code", nonce.exp as "nonce_exp" ' 
             + 'FROM ecode JOIN login ON login.id = ecode."login_id" '
                 + 'JOIN nonce ON nonce."ecode_id" = ecode.id '
-            + 'WHERE ecode.code = $1 AND login.name = $2 AND login.email = $3;',
+            + "WHERE ecode.code = $1 AND login.name = $2 AND login.email = $3 AND ecode.purpose = 'confirm';",
     rowMode: 'json',
     values: [1, 2, 3]
 }
 
+const GET_RESEND_ECODE = {
+    name: 'Get ECODE-Resend',
+    text: 'SELECT login.id as "login_id", ecode.id as "ecode_id", ecode.resend_count as "resend_count" '
+            + 'FROM ecode JOIN login ON login.id = ecode."login_id" '
+            + "WHERE login.name = $1 AND login.email = $2 AND login.confirm = false AND ecode.purpose = 'confirm';",
+    rowMode: 'json',
+    values: [1, 2]
+}
+
+// * The count is checked in the update, so parallel resends can not pass the limit.
+const UPDATE_RESEND_ECODE = {
+    name: 'Update ECode-Resend',
+    text: 'UPDATE ecode SET code = $2, resend_count = resend_count + 1 WHERE id = $1 AND resend_count < $3 RETURNING resend_count;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1, 2, 3]
+}
+
+// * Codes are 8 digits, different logins can share one so every match is returned.
+const GET_RESET_ECODES = {
+    name: 'Get ECODE-Reset',
+    text: 'SELECT login.id as "login_id", ecode.id as "ecode_id", nonce.code as "nonce_code", nonce.exp as "nonce_exp" '
+            + 'FROM ecode JOIN login ON login.id = ecode."login_id" '
+                + 'JOIN nonce ON nonce."ecode_id" = ecode.id '
+            + "WHERE ecode.code = $1 AND ecode.purpose = 'reset' AND login.confirm = true;",
+    rowMode: 'json',
+    values: [1]
+}
+
+// * Only the request that deletes the code may reset the password, a second use of the link finds no row.
+const USE_RESET_ECODE = {
+    name: 'Delete ECode-Reset-used',
+    text: "WITH used_nonce AS (DELETE FROM nonce WHERE nonce.ecode_id = $1) "
+            + "DELETE FROM ecode WHERE ecode.id = $1 AND ecode.purpose = 'reset' RETURNING ecode.id;",
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1]
+}
+
+// * Nonces are removed with their codes, a new reset request replaces the old one.
+const DELETE_RESET_ECODES = {
+    name: 'Delete ECode-Reset-with-fk',
+    text: "WITH old AS (SELECT ecode.id FROM ecode WHERE ecode.login_id = $1 AND ecode.purpose = 'reset'), "
+            + 'old_nonce AS (DELETE FROM nonce USING old WHERE nonce.ecode_id = old.id) '
+            + 'DELETE FROM ecode USING old WHERE ecode.id = old.id;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1]
+}
+
 const DELETE_ECODE = {
     name: 'Delete ECode-with-fk',
     text: "DELETE FROM ecode WHERE login_id = $1;",
@@ -30,11 +86,12 @@ const DELETE_ECODE = {
  * 
  * @param {String} code 
  * @param {Number} loginId
+ * @param {String} [purpose] - 'confirm' | 'reset'
  * @returns {Number} eCodeId
  */
-export async function createECode(code, loginId) {
+export async function createECode(code, loginId, purpose = 'confirm') {
     try {
-        let query = await pool.query(CREATE_ECODE, [ code, loginId ]);
+        let query = await pool.query(CREATE_ECODE, [ code, loginId, purpose ]);
         if(Boolean(query)) {
             if(query.rowCount === 1) {
                 return query.rows[0];
@@ -52,7 +109,7 @@ export async function createECode(code, loginId) {
  * @param userName 
  * @param userEmail 
  * @param nonce 
- * @returns {Object} login_id, login_name, login_email, ecode_id, nonce_code, nonce_exp
+ * @returns {Object} login_id, login_name, login_email, login_role, ecode_id, nonce_code, nonce_exp
  */
 export async function getEcodeWLoginNonce(ecode, userName, userEmail, nonce) {
     try {
@@ -68,6 +125,100 @@ export async function getEcodeWLoginNonce(ecode, userName, userEmail, nonce) {
     }
 }
 
+/**
+ * 
+ * @param {String} userName 
+ * @param {String} userEmail 
+ * @returns {Object|undefined} login_id, ecode_id, resend_count - only for logins not yet confirmed.
+ */
+export async function getResendECode(userName, userEmail) {
+    try {
+        let query = await pool.query(GET_RESEND_ECODE, [ userName, userEmail ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0];
+            }
+        }
+        throw `Unconfirmed ecode does not exist with: ${userName}, ${userEmail}.`;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ * Replaces the code, and counts the resend.
+ * @param {Number} ecodeId 
+ * @param {String} code 
+ * @param {Number} resendLimit 
+ * @returns {Number|undefined} resend_count - undefined when the limit is reached.
+ */
+export async function resendECode(ecodeId, code, resendLimit) {
+    try {
+        let query = await pool.query(UPDATE_RESEND_ECODE, [ ecodeId, code, resendLimit ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0][0];
+            }
+        }
+        throw `ECode was not resent for: ${ecodeId}.`;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ * 
+ * @param {String} code - reset code from the emailed link.
+ * @returns {Array<Object>|undefined} login_id, ecode_id, nonce_code, nonce_exp
+ */
+export async function getResetECodes(code) {
+    try {
+        let query = await pool.query(GET_RESET_ECODES, [ code ]);
+        if(Boolean(query)) {
+            return query.rows;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ * Removes the reset code that was matched, its link can be used once.
+ * @param {Number} ecodeId
+ * @returns {Boolean} true when this call removed it.
+ */
+export async function useResetECode(ecodeId) {
+    try {
+        let query = await pool.query(USE_RESET_ECODE, [ ecodeId ]);
+        if(Boolean(query)) {
+            return query.rowCount === 1;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ * 
+ * @param {Number} loginId
+ * @returns {Boolean} true|false
+ */
+export async function deleteResetECodes(loginId) {
+    try {
+        let query = await pool.query(DELETE_RESET_ECODES, [ loginId ]);
+        if(Boolean(query)) {
+            return true;
+        }
+        return false;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
 /**
  * 
  * @param {String} code 
@@ -0,0 +1,114 @@
+'use strict';
+import { pool } from './db-connection.mjs';
+import { debugLog } from '../util/logger.mjs';
+
+/*
+ * * One flag per login and comment, flags are kept after review so the history stays.
+ * CREATE TABLE comment_flag (
+ *     id SERIAL PRIMARY KEY,
+ *     comment_id INTEGER NOT NULL REFERENCES comment (id) ON DELETE CASCADE,
+ *     login_id INTEGER NOT NULL REFERENCES login (id) ON DELETE CASCADE,
+ *     reason VARCHAR(9) NOT NULL CHECK (reason IN ('spam', 'abuse', 'off-topic')),
+ *     created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     reviewed BOOLEAN NOT NULL DEFAULT false,
+ *     UNIQUE (comment_id, login_id)
+ * );
+ */
+
+export const FLAG_REASONS = [ 'spam', 'abuse', 'off-topic' ];
+
+// * Only approved comments can be flagged, the count returned is of flags not yet reviewed.
+// * A user flagging the same comment again only changes their reason.
+const CREATE_FLAG = {
+    name: 'ins-comment-flag',
+    text: 'WITH target AS (SELECT comment.id FROM comment '
+                + "WHERE comment.id = $1 AND comment.status = 'approved' AND comment.deleted IS NULL), "
+            + 'ins AS (INSERT INTO comment_flag (comment_id, login_id, reason) SELECT target.id, $2, $3 FROM target '
+                + 'ON CONFLICT (comment_id, login_id) DO UPDATE SET reason = EXCLUDED.reason, reviewed = false RETURNING comment_id) '
+            + 'SELECT ins.comment_id, '
+                + '(SELECT COUNT(*) FROM comment_flag flag WHERE flag.comment_id = ins.comment_id AND NOT flag.reviewed AND flag.login_id <> $2)::integer + 1 AS "flag_count" '
+            + 'FROM ins;',
+    rowMode: 'json',
+    values: [1, 2, 3]
+}
+
+// * Flags grouped by comment, the most flagged first.
+const GET_FLAGGED_COMMENTS = {
+    name: 'get-flagged-comments',
+    text: 'SELECT comment.id AS "comment_id", comment.content, comment."comment.id" AS "thread_id", login.name AS user, comment.created, comment.status, '
+                + 'COUNT(*)::integer AS "flag_count", '
+                + "COUNT(*) FILTER (WHERE flag.reason = 'spam')::integer AS \"spam\", "
+                + "COUNT(*) FILTER (WHERE flag.reason = 'abuse')::integer AS \"abuse\", "
+                + "COUNT(*) FILTER (WHERE flag.reason = 'off-topic')::integer AS \"off_topic\", "
+                + 'MAX(flag.created) AS "last_flagged" '
+            + 'FROM comment_flag flag JOIN comment ON comment.id = flag.comment_id '
+                + 'LEFT JOIN login ON comment."user.id" = login.id '
+            + "WHERE NOT flag.reviewed AND comment.deleted IS NULL AND comment.status <> 'rejected' "
+            + 'GROUP BY comment.id, login.name '
+            + 'ORDER BY "flag_count" DESC, "last_flagged" DESC;',
+    rowMode: 'json',
+}
+
+const UPDATE_FLAGS_REVIEWED = {
+    name: 'upd-comment-flags-reviewed',
+    text: 'UPDATE comment_flag SET reviewed = true WHERE comment_id = $1 AND NOT reviewed;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1]
+}
+
+/**
+ *
+ * @param {Number} commentId
+ * @param {Number} loginId
+ * @param {String} reason - 'spam' | 'abuse' | 'off-topic'
+ * @returns {Object|false} comment_id, flag_count - flags waiting for review
+ */
+export async function createFlag(commentId, loginId, reason) {
+    try {
+        debugLog(6, `Flagging comment: ${commentId} | user: ${loginId} | reason: ${reason} .`);
+        let query = await pool.query(CREATE_FLAG, [ commentId, loginId, reason ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0];
+            }
+        }
+        throw `Flag was not created with values: ${commentId}, ${loginId}, ${reason}.`;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ *
+ * @returns {Array<Object>|undefined} comment_id, content, thread_id, user, created, status, flag_count, spam, abuse, off_topic, last_flagged
+ */
+export async function getFlaggedComments() {
+    try {
+        let query = await pool.query(GET_FLAGGED_COMMENTS);
+        if(Boolean(query)) {
+            return query.rows;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ * Marks the flags of a comment as reviewed, they no longer count towards hiding it.
+ * @param {Number} commentId
+ * @returns {Boolean} true|false
+ */
+export async function dismissFlags(commentId) {
+    try {
+        let query = await pool.query(UPDATE_FLAGS_REVIEWED, [ commentId ]);
+        if(Boolean(query)) {
+            return true;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
\ No newline at end of file
@@ -1,6 +1,19 @@
 'use strict';
 import { pool } from './db-connection.mjs';
 import { debugLog } from '../util/logger.mjs';
+import { hashPassword, verifyPassword } from '../util/password-hasher.mjs';
+
+/*
+ * * pwd holds "scrypt$N$r$p$salt$hash", plaintext rows are rehashed on their next login.
+ * ALTER TABLE login ALTER COLUMN pwd TYPE TEXT;
+ *
+ * * Time of the last password reset, Access-Tokens issued before it are declined, see db-session.mjs.
+ * ALTER TABLE login ADD COLUMN pwd_changed TIMESTAMPTZ;
+ *
+ * * Rights of the login, carried in the Access-Token as client_role.
+ * ALTER TABLE login ADD COLUMN role VARCHAR(9) NOT NULL DEFAULT 'user'
+ *     CHECK (role IN ('user', 'moderator', 'admin'));
+ */
 
 const COUNT_LOGIN_CONFIRMED = {
     name: 'Get Login-Verification',
@@ -16,10 +29,32 @@ const CREATE_LOGIN = {
     values: [1, 2, 3]    
 }
 
+// * The password is checked after the row is read, the hash can not be matched in the query.
 const GET_CONFIRMED_LOGIN = {
-    name: 'get-login-w-name-pwd-confirmed',
-    text: 'SELECT * FROM login WHERE name = $1 AND pwd = $2 AND confirm = true;',
+    name: 'get-login-w-name-confirmed',
+    text: 'SELECT * FROM login WHERE name = $1 AND confirm = true;',
     rowMode: 'json', //rowMode : array - bypasses json parser
+    values: [1]
+}
+
+const UPDATE_LOGIN_PWD = {
+    name: 'Update Login-Pwd',
+    text: 'UPDATE login SET pwd = $2 WHERE id = $1;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1, 2]
+}
+
+const GET_CONFIRMED_LOGIN_W_EMAIL = {
+    name: 'get-login-w-email-confirmed',
+    text: 'SELECT id, name, email FROM login WHERE email = $1 AND confirm = true;',
+    rowMode: 'json',
+    values: [1]
+}
+
+const UPDATE_RESET_LOGIN_PWD = {
+    name: 'Update Login-Pwd-Reset',
+    text: 'UPDATE login SET pwd = $2, pwd_changed = NOW() WHERE id = $1 RETURNING pwd_changed;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
     values: [1, 2]
 }
 
@@ -30,9 +65,21 @@ const UPDATE_CONFIRM_LOGIN = {
     values: [1]
 }
 
-const DELETE_LOGIN = {
-    name: "Delete Login",
-    text: "DELETE FROM login WHERE id = $1",
+const UPDATE_LOGIN_ROLE = {
+    name: 'Update Login-Role',
+    text: 'UPDATE login SET role = $2 WHERE id = $1 RETURNING id, name, role;',
+    rowMode: 'json',
+    values: [1, 2]
+}
+
+// * A signup that was never confirmed is removed with its codes and nonces, so the name and email can sign-up again.
+const DELETE_UNCONFIRMED_LOGIN = {
+    name: "Delete Login-Unconfirmed",
+    text: "WITH old_ecode AS (SELECT ecode.id FROM ecode JOIN login ON login.id = ecode.login_id WHERE login.id = $1 AND login.confirm = false), "
+            + "old_nonce AS (DELETE FROM nonce USING old_ecode WHERE nonce.ecode_id = old_ecode.id), "
+            + "del_ecode AS (DELETE FROM ecode USING old_ecode WHERE ecode.id = old_ecode.id) "
+            + "DELETE FROM login WHERE id = $1 AND confirm = false RETURNING id;",
+    rowMode: 'array', //rowMode : array - bypasses json parser
     values: [1]
 }
 
@@ -67,7 +114,7 @@ export async function isLoginCreationValid(user, email) {
  */
 export async function createLogin(user, pwd, email) {
     try {
-        let query = await pool.query(CREATE_LOGIN, [ user, pwd, email ]);
+        let query = await pool.query(CREATE_LOGIN, [ user, await hashPassword(pwd), email ]);
         if(Boolean(query)) {
             if(query.rowCount === 1) {
                 return query.rows[0];
@@ -76,21 +123,76 @@ export async function createLogin(user, pwd, email) {
             //     return true;
             // }
         }
-        throw `Login was not created with values: ${user}, ${pwd}, ${email}.`;
+        throw `Login was not created with values: ${user}, ${email}.`;
     } catch (e) {
         debugLog(3, '', e, e.stack);
     }
 }
 
+/**
+ * 
+ * @param {String} user 
+ * @param {String} pwd 
+ * @returns {Object|undefined} login row without pwd
+ */
 export async function getConfirmedLogin(user, pwd) {
     try {
-        let query = await pool.query(GET_CONFIRMED_LOGIN, [ user, pwd ]);
+        let query = await pool.query(GET_CONFIRMED_LOGIN, [ user ]);
+        if(!Boolean(query)) { throw 'Unable to execute query.'; }
+
+        // * A missing login is still verified against a dummy hash so it answers in the same time.
+        let login = query.rowCount === 1 ? query.rows[0] : null;
+        let { isValid, needsRehash } = await verifyPassword(pwd, login?.pwd);
+        if(!Boolean(login) || !isValid) {
+            throw 'Login does not exist, has not been confirmed, or the password does not match.';
+        }
+
+        if(needsRehash) {
+            await pool.query(UPDATE_LOGIN_PWD, [ login.id, await hashPassword(pwd) ]);
+            debugLog(3, 'Login pwd rehashed: ', login.id);
+        }
+
+        delete login.pwd;
+        return login;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ * 
+ * @param {String} email 
+ * @returns {Object|undefined} id, name, email
+ */
+export async function getConfirmedLoginWEmail(email) {
+    try {
+        let query = await pool.query(GET_CONFIRMED_LOGIN_W_EMAIL, [ email ]);
         if(Boolean(query)) {
             if(query.rowCount === 1) {
                 return query.rows[0];
             }
         }
-        throw 'Login does not exist or has not been confirmed.';
+        throw 'Login does not exist with email or has not been confirmed.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ * Sets a new password and marks when it changed, Access-Tokens issued earlier are declined from then on.
+ * @param {Number} loginId 
+ * @param {String} pwd 
+ * @returns {Date|undefined} pwd_changed
+ */
+export async function resetLoginPwd(loginId, pwd) {
+    try {
+        let query = await pool.query(UPDATE_RESET_LOGIN_PWD, [ loginId, await hashPassword(pwd) ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0][0];
+            }
+        }
+        throw `Login pwd was not reset for: ${loginId}.`;
     } catch (e) {
         debugLog(3, '', e, e.stack);
     }
@@ -117,12 +219,33 @@ export async function updateLoginConfirmed( loginId ) {
 
 /**
  * 
- * @param {String} email 
- * @returns {Boolean}
+ * @param {Number} loginId 
+ * @param {String} role - 'user' | 'moderator' | 'admin'
+ * @returns {Object|false} id, name, role
+ */
+export async function updateLoginRole(loginId, role) {
+    try {
+        let query = await pool.query(UPDATE_LOGIN_ROLE, [ loginId, role ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0];
+            }
+        }
+        throw `Role was not updated with values: ${loginId}, ${role}.`;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ * 
+ * @param {Number} loginId 
+ * @returns {Boolean} true when the unconfirmed login was removed.
  */
-export async function deleteLogin( loginId ) {
+export async function deleteUnconfirmedLogin( loginId ) {
     try {
-        let query = await pool.query(DELETE_LOGIN, [ loginId ]);
+        let query = await pool.query(DELETE_UNCONFIRMED_LOGIN, [ loginId ]);
         if(Boolean(query)) {
             if(query.rowCount === 1) {
                 return true;
@@ -0,0 +1,195 @@
+'use strict';
+import { pool } from './db-connection.mjs';
+import { debugLog } from '../util/logger.mjs';
+
+/*
+ * * Outgoing mail, sent by the mail worker. A mail that fails too many times is kept as dead with its last error.
+ * CREATE TABLE mail_queue (
+ *     id SERIAL PRIMARY KEY,
+ *     recipient TEXT NOT NULL,
+ *     subject TEXT NOT NULL,
+ *     content TEXT NOT NULL,
+ *     status VARCHAR(7) NOT NULL DEFAULT 'pending'
+ *         CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+ *     attempts INTEGER NOT NULL DEFAULT 0,
+ *     next_attempt TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     last_error TEXT,
+ *     created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     sent TIMESTAMPTZ
+ * );
+ * CREATE INDEX mail_queue_due ON mail_queue (next_attempt) WHERE status IN ('pending', 'sending');
+ *
+ * * Plain text part and headers of the mail: text, replyTo, listUnsubscribe, messageId.
+ * ALTER TABLE mail_queue ADD COLUMN options JSONB NOT NULL DEFAULT '{}';
+ */
+
+const CREATE_MAIL = {
+    name: 'ins-mail',
+    text: 'INSERT INTO mail_queue (recipient, subject, content, options) VALUES ($1, $2, $3, $4) RETURNING id;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1, 2, 3, 4]
+}
+
+// * Claimed mail is leased, a worker that stops mid send leaves it to be claimed again once the lease ends.
+// * SKIP LOCKED lets several server instances share the queue without sending a mail twice.
+const CLAIM_DUE_MAILS = {
+    name: 'claim-due-mails',
+    text: 'UPDATE mail_queue SET status = \'sending\', attempts = attempts + 1, next_attempt = NOW() + make_interval(secs => $2) '
+            + 'WHERE id IN ( SELECT id FROM mail_queue '
+                + "WHERE status IN ('pending', 'sending') AND next_attempt <= NOW() "
+                + 'ORDER BY next_attempt LIMIT $1 FOR UPDATE SKIP LOCKED ) '
+            + 'RETURNING id, recipient, subject, content, options, attempts;',
+    rowMode: 'json',
+    values: [1, 2]
+}
+
+const UPDATE_MAIL_SENT = {
+    name: 'upd-mail-sent',
+    text: "UPDATE mail_queue SET status = 'sent', sent = NOW(), last_error = NULL WHERE id = $1;",
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1]
+}
+
+// * $3 is null once the mail has no attempts left.
+const UPDATE_MAIL_FAILED = {
+    name: 'upd-mail-failed',
+    text: "UPDATE mail_queue SET status = CASE WHEN $3::TIMESTAMPTZ IS NULL THEN 'dead' ELSE 'pending' END, "
+            + 'last_error = $2, next_attempt = COALESCE($3, next_attempt) WHERE id = $1 RETURNING status;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1, 2, 3]
+}
+
+// * Dead mail, and mail that has failed at least once.
+const GET_STUCK_MAILS = {
+    name: 'get-stuck-mails',
+    text: 'SELECT id, recipient, subject, status, attempts, next_attempt, last_error, created FROM mail_queue '
+            + "WHERE status = 'dead' OR (status IN ('pending', 'sending') AND attempts > 0) "
+            + 'ORDER BY created DESC LIMIT $1;',
+    rowMode: 'json',
+    values: [1]
+}
+
+const UPDATE_MAIL_RETRY = {
+    name: 'upd-mail-retry',
+    text: "UPDATE mail_queue SET status = 'pending', attempts = 0, next_attempt = NOW() "
+            + "WHERE id = $1 AND status IN ('pending', 'dead') RETURNING id, recipient, subject, status;",
+    rowMode: 'json',
+    values: [1]
+}
+
+/**
+ *
+ * @param {String} recipient
+ * @param {String} subject
+ * @param {String} content - html body
+ * @param {Object} [options] - text, replyTo, listUnsubscribe, messageId
+ * @returns {Number|undefined} mailId
+ */
+export async function createMail(recipient, subject, content, options = {}) {
+    try {
+        let query = await pool.query(CREATE_MAIL, [ recipient, subject, content, JSON.stringify(options) ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0][0];
+            }
+        }
+        throw `Mail was not queued for: ${recipient}.`;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ *
+ * @param {Number} limit
+ * @param {Number} leaseSeconds - time the claim lasts before another worker can take the mail.
+ * @returns {Array<Object>|undefined} id, recipient, subject, content, options, attempts
+ */
+export async function claimDueMails(limit, leaseSeconds) {
+    try {
+        let query = await pool.query(CLAIM_DUE_MAILS, [ limit, leaseSeconds ]);
+        if(Boolean(query)) {
+            return query.rows;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ *
+ * @param {Number} mailId
+ * @returns {Boolean} true|false
+ */
+export async function setMailSent(mailId) {
+    try {
+        let query = await pool.query(UPDATE_MAIL_SENT, [ mailId ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return true;
+            }
+        }
+        return false;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ *
+ * @param {Number} mailId
+ * @param {String} error
+ * @param {Date|null} nextAttempt - null marks the mail as dead.
+ * @returns {String|undefined} status - 'pending' | 'dead'
+ */
+export async function setMailFailed(mailId, error, nextAttempt) {
+    try {
+        let query = await pool.query(UPDATE_MAIL_FAILED, [ mailId, error, nextAttempt ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0][0];
+            }
+        }
+        throw `Mail failure was not recorded for: ${mailId}.`;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ *
+ * @param {Number} limit
+ * @returns {Array<Object>|undefined} id, recipient, subject, status, attempts, next_attempt, last_error, created
+ */
+export async function getStuckMails(limit) {
+    try {
+        let query = await pool.query(GET_STUCK_MAILS, [ limit ]);
+        if(Boolean(query)) {
+            return query.rows;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ * Sends the mail again on the next run of the worker, with its attempts reset.
+ * @param {Number} mailId
+ * @returns {Object|undefined} id, recipient, subject, status
+ */
+export async function retryMail(mailId) {
+    try {
+        let query = await pool.query(UPDATE_MAIL_RETRY, [ mailId ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0];
+            }
+        }
+        throw `Mail can not be retried: ${mailId}.`;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
\ No newline at end of file
@@ -9,6 +9,13 @@ const CREATE_NONCE = {
     values: [1, 2]
 }
 
+const CREATE_NONCE_W_EXP = {
+    name: 'Create Nonce-with-exp',
+    text: "INSERT INTO nonce (code, ecode_id, exp) VALUES ($1, $2, $3) RETURNING exp;",
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1, 2, 3]
+}
+
 const GET_NONCE = {
     name: 'Get Nonce-with-fk',
     text: "SELECT * FROM nonce WHERE ecode_id = $1;",
@@ -17,8 +24,8 @@ const GET_NONCE = {
 
 const UPDATE_REISSUE_NONCE = {
     name: 'ReIss Nonce',
-    text: "UPDATE nonce SET code = $2, exp = $3 WHERE ecode.id = $1 RETURNING code, exp;",
-    rowMode: 'json', //rowMode : array - bypasses json parser
+    text: "UPDATE nonce SET code = $2, exp = $3 WHERE ecode_id = $1 RETURNING code, exp;",
+    rowMode: 'json',
     values: [1, 2, 3]
 }
 
@@ -33,11 +40,14 @@ const DELETE_NONCE = {
  * 
  * @param {Number} eCodeId 
  * @param {String} nonce 
+ * @param {Date} [exp] - the table default is used when not given.
  * @returns {Date}
  */
-async function createNonce(eCodeId, nonce) {
+async function createNonce(eCodeId, nonce, exp) {
     try {
-        let query = await pool.query(CREATE_NONCE, [ nonce, eCodeId ]);
+        let query = Boolean(exp) 
+            ? await pool.query(CREATE_NONCE_W_EXP, [ nonce, eCodeId, exp ]) 
+            : await pool.query(CREATE_NONCE, [ nonce, eCodeId ]);
         if(Boolean(query)) {
             if(query.rowCount === 1) {
                 return query.rows[0][0];
@@ -72,8 +82,8 @@ async function getNonce(eCodeId) {
  * 
  * @param {Number} eCodeId 
  * @param {String} nonce
- * @param {Date} nonce 
- * @returns {Object<Code, Exp>}}
+ * @param {Date} exp 
+ * @returns {Object<Code, Exp>}
  */
 async function renewNonce(eCodeId, nonce, exp) {
     try {
@@ -0,0 +1,215 @@
+'use strict';
+import { pool } from './db-connection.mjs';
+import { debugLog } from '../util/logger.mjs';
+
+/*
+ * * A session is one sign in, its id is carried in the Access-Token as sid.
+ * * Only hashes of refresh tokens are kept, the hash it replaced is kept to notice a stolen token being used again.
+ * CREATE TABLE login_session (
+ *     id SERIAL PRIMARY KEY,
+ *     login_id INTEGER NOT NULL REFERENCES login (id) ON DELETE CASCADE,
+ *     refresh_hash CHAR(64) NOT NULL UNIQUE,
+ *     previous_hash CHAR(64),
+ *     user_agent TEXT,
+ *     created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     rotated TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     expires TIMESTAMPTZ NOT NULL,
+ *     revoked TIMESTAMPTZ
+ * );
+ * CREATE INDEX login_session_login ON login_session (login_id) WHERE revoked IS NULL;
+ * CREATE INDEX login_session_previous ON login_session (previous_hash);
+ */
+
+const CREATE_SESSION = {
+    name: 'ins-login-session',
+    text: 'INSERT INTO login_session (login_id, refresh_hash, user_agent, expires) '
+            + 'VALUES ($1, $2, $3, NOW() + make_interval(days => $4)) RETURNING id, expires;',
+    rowMode: 'json',
+    values: [1, 2, 3, 4]
+}
+
+// * The login is read again, so a changed role or name reaches the next Access-Token.
+const ROTATE_SESSION = {
+    name: 'upd-login-session-rotate',
+    text: 'WITH rotated AS ( '
+                + 'UPDATE login_session SET previous_hash = refresh_hash, refresh_hash = $2, rotated = NOW(), '
+                    + 'expires = NOW() + make_interval(days => $3) '
+                + 'WHERE refresh_hash = $1 AND revoked IS NULL AND expires > NOW() RETURNING id, login_id ) '
+            + 'SELECT rotated.id AS "session_id", login.id, login.name, login.email, login.role '
+            + 'FROM rotated JOIN login ON login.id = rotated.login_id;',
+    rowMode: 'json',
+    values: [1, 2, 3]
+}
+
+// * Requests sent together with the same token are not a reuse, only ones after the grace seconds are.
+const REVOKE_REUSED_SESSION = {
+    name: 'upd-login-session-reused',
+    text: 'UPDATE login_session SET revoked = NOW() '
+            + 'WHERE previous_hash = $1 AND revoked IS NULL AND rotated < NOW() - make_interval(secs => $2) '
+            + 'RETURNING id, login_id;',
+    rowMode: 'json',
+    values: [1, 2]
+}
+
+// * Access-Tokens issued before the password was reset are declined, iat has whole seconds so the reset is truncated to match.
+const GET_ACTIVE_SESSION = {
+    name: 'get-login-session-active',
+    text: 'SELECT login_session.id, login_session.login_id FROM login_session JOIN login ON login.id = login_session.login_id '
+            + 'WHERE login_session.id = $1 AND login_session.login_id = $2 AND login_session.revoked IS NULL AND login_session.expires > NOW() '
+            + "AND (login.pwd_changed IS NULL OR to_timestamp($3) >= date_trunc('second', login.pwd_changed));",
+    rowMode: 'json',
+    values: [1, 2, 3]
+}
+
+const REVOKE_SESSION = {
+    name: 'upd-login-session-revoke',
+    text: 'UPDATE login_session SET revoked = NOW() WHERE id = $1 AND revoked IS NULL RETURNING id;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1]
+}
+
+const REVOKE_SESSION_W_REFRESH = {
+    name: 'upd-login-session-revoke-refresh',
+    text: 'UPDATE login_session SET revoked = NOW() WHERE refresh_hash = $1 AND revoked IS NULL RETURNING id;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1]
+}
+
+const REVOKE_LOGIN_SESSIONS = {
+    name: 'upd-login-session-revoke-all',
+    text: 'UPDATE login_session SET revoked = NOW() WHERE login_id = $1 AND revoked IS NULL RETURNING id;',
+    rowMode: 'array', //rowMode : array - bypasses json parser
+    values: [1]
+}
+
+/**
+ *
+ * @param {Number} loginId
+ * @param {String} refreshHash - sha256 hex of the refresh token.
+ * @param {String|undefined} userAgent
+ * @param {Number} days - lifetime of the refresh token.
+ * @returns {Object|undefined} id, expires
+ */
+export async function createSession(loginId, refreshHash, userAgent, days) {
+    try {
+        let query = await pool.query(CREATE_SESSION, [ loginId, refreshHash, userAgent ?? null, days ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0];
+            }
+        }
+        throw `Session was not created for login: ${loginId}.`;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ * Replaces the refresh token of the session, the old one stops working.
+ * @param {String} refreshHash
+ * @param {String} nextHash
+ * @param {Number} days - lifetime of the next refresh token.
+ * @returns {Object|null|undefined} session_id, id, name, email, role - null when the token is not active.
+ */
+export async function rotateSession(refreshHash, nextHash, days) {
+    try {
+        let query = await pool.query(ROTATE_SESSION, [ refreshHash, nextHash, days ]);
+        if(Boolean(query)) {
+            return query.rowCount === 1 ? query.rows[0] : null;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ * Revokes the session whose refresh token was already replaced, the token was copied.
+ * @param {String} refreshHash
+ * @param {Number} graceSeconds
+ * @returns {Object|null|undefined} id, login_id - null when the token was not reused.
+ */
+export async function revokeReusedSession(refreshHash, graceSeconds) {
+    try {
+        let query = await pool.query(REVOKE_REUSED_SESSION, [ refreshHash, graceSeconds ]);
+        if(Boolean(query)) {
+            return query.rowCount === 1 ? query.rows[0] : null;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
+
+/**
+ *
+ * @param {Number} sessionId
+ * @param {Number} loginId
+ * @param {Number} issued - iat of the Access-Token, seconds.
+ * @returns {Boolean} true when the session of the login is not revoked or expired, and the token is newer than the last password reset.
+ */
+export async function isSessionActive(sessionId, loginId, issued) {
+    try {
+        let query = await pool.query(GET_ACTIVE_SESSION, [ sessionId, loginId, issued ]);
+        if(Boolean(query)) {
+            return query.rowCount === 1;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ *
+ * @param {Number} sessionId
+ * @returns {Boolean} true when the session was active.
+ */
+export async function revokeSession(sessionId) {
+    try {
+        let query = await pool.query(REVOKE_SESSION, [ sessionId ]);
+        if(Boolean(query)) {
+            return query.rowCount === 1;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ *
+ * @param {String} refreshHash
+ * @returns {Boolean} true when the session of the refresh token was active.
+ */
+export async function revokeSessionWRefresh(refreshHash) {
+    try {
+        let query = await pool.query(REVOKE_SESSION_W_REFRESH, [ refreshHash ]);
+        if(Boolean(query)) {
+            return query.rowCount === 1;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
+
+/**
+ *
+ * @param {Number} loginId
+ * @returns {Number|undefined} count of sessions revoked.
+ */
+export async function revokeLoginSessions(loginId) {
+    try {
+        let query = await pool.query(REVOKE_LOGIN_SESSIONS, [ loginId ]);
+        if(Boolean(query)) {
+            return query.rowCount;
+        }
+        throw 'Unable to execute query.';
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,49 @@
+'use strict';
+import { pool } from './db-connection.mjs';
+import { debugLog } from '../util/logger.mjs';
+
+/*
+ * * One vote per login and comment, a vote of 0 removes the row.
+ * CREATE TABLE comment_vote (
+ *     comment_id INTEGER NOT NULL REFERENCES comment (id) ON DELETE CASCADE,
+ *     login_id INTEGER NOT NULL REFERENCES login (id) ON DELETE CASCADE,
+ *     value SMALLINT NOT NULL CHECK (value IN (-1, 1)),
+ *     PRIMARY KEY (comment_id, login_id)
+ * );
+ */
+
+// * comment.score moves by the difference between the new vote and the one it replaces.
+const CAST_VOTE = {
+    name: 'Cast Comment-Vote',
+    text: "WITH target AS (SELECT comment.id FROM comment WHERE comment.id = $1 AND comment.deleted IS NULL AND comment.status = 'approved' FOR UPDATE), "
+            + 'prev AS (SELECT vote.value FROM comment_vote vote JOIN target ON vote.comment_id = target.id WHERE vote.login_id = $2), '
+            + 'ins AS (INSERT INTO comment_vote (comment_id, login_id, value) SELECT target.id, $2, $3::smallint FROM target WHERE $3::smallint <> 0 '
+                + 'ON CONFLICT (comment_id, login_id) DO UPDATE SET value = EXCLUDED.value RETURNING value), '
+            + 'del AS (DELETE FROM comment_vote USING target WHERE comment_vote.comment_id = target.id AND comment_vote.login_id = $2 AND $3::smallint = 0 RETURNING comment_vote.value) '
+            + 'UPDATE comment SET score = comment.score + $3::smallint - COALESCE((SELECT prev.value FROM prev), 0) '
+            + 'FROM target WHERE comment.id = target.id RETURNING comment.id, comment.score;',
+    rowMode: 'json',
+    values: [1, 2, 3]
+}
+
+/**
+ *
+ * @param {Number} commentId
+ * @param {Number} loginId
+ * @param {Number} value - 1 | -1 | 0 to remove the vote.
+ * @returns {Object|false} id, score
+ */
+export async function castVote(commentId, loginId, value) {
+    try {
+        let query = await pool.query(CAST_VOTE, [ commentId, loginId, value ]);
+        if(Boolean(query)) {
+            if(query.rowCount === 1) {
+                return query.rows[0];
+            }
+        }
+        throw `Vote was not cast with values: ${commentId}, ${loginId}, ${value}.`;
+    } catch (e) {
+        debugLog(3, '', e, e.stack);
+        return false;
+    }
+}
\ No newline at end of file
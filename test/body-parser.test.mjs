@@ -0,0 +1,116 @@
+'use strict';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { parseBody } from '../util/body-parser.mjs';
+
+const LIMIT = 64;
+const parseAny = parseBody({ limit : LIMIT });
+const parseJson = parseBody({ limit : LIMIT, types : [ 'json' ] });
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer( async (req, res) => {
+        let parse = req.url == '/json' ? parseJson : parseAny;
+        await parse(req, res, async () => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ body : req.body, bodyType : req.bodyType }));
+        });
+    });
+    await new Promise( (resolve) => server.listen(0, '127.0.0.1', resolve) );
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise( (resolve) => server.close(resolve) );
+});
+
+/**
+ *
+ * @param {String} path
+ * @param {String|undefined} contentType
+ * @param {String} [body]
+ * @returns {Promise<Response>}
+ */
+function post(path, contentType, body) {
+    let headers = Boolean(contentType) ? { 'Content-Type' : contentType } : {};
+    return fetch(`${baseUrl}${path}`, { method : 'POST', headers : headers, body : body });
+}
+
+/**
+ * Sends the body in chunks without a Content-Length.
+ * @param {Array<String>} chunks
+ * @returns {Promise<Object>} status, text
+ */
+function postChunked(chunks) {
+    return new Promise( (resolve, reject) => {
+        let req = http.request(`${baseUrl}/`, { method : 'POST', headers : { 'Content-Type' : 'application/json' } }, (res) => {
+            let text = '';
+            res.on('data', (chunk) => { text += chunk; });
+            res.on('end', () => resolve({ status : res.statusCode, text : text }));
+        });
+        // * The server stops reading once the limit is passed, the rest of the body may not be taken.
+        req.on('error', (e) => { if(e.code != 'ECONNRESET' && e.code != 'EPIPE') { reject(e); } });
+        for(const chunk of chunks) { req.write(chunk); }
+        req.end();
+    });
+}
+
+test('json bodies are parsed into req.body', async () => {
+    let res = await post('/', 'application/json; charset=utf-8', JSON.stringify({ comment : 'hi', thread_id : 4 }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { body : { comment : 'hi', thread_id : 4 }, bodyType : 'json' });
+});
+
+test('form bodies are parsed, a field sent twice keeps its last value', async () => {
+    let res = await post('/', 'application/x-www-form-urlencoded', 'name=Ann+Lee&pwd=a%26b&name=Bo');
+    assert.deepEqual(await res.json(), { body : { name : 'Bo', pwd : 'a&b' }, bodyType : 'urlencoded' });
+});
+
+test('a request without a body gets an empty body of the type it names', async () => {
+    let res = await post('/', 'application/x-www-form-urlencoded');
+    assert.deepEqual(await res.json(), { body : {}, bodyType : 'urlencoded' });
+
+    res = await post('/');
+    assert.deepEqual(await res.json(), { body : {}, bodyType : null });
+});
+
+test('types the route does not accept are declined with 415', async () => {
+    let res = await post('/json', 'application/x-www-form-urlencoded', 'a=1');
+    assert.equal(res.status, 415);
+    assert.equal(await res.text(), 'Content-Type must be application/json.');
+
+    res = await post('/', 'text/plain', 'a=1');
+    assert.equal(res.status, 415);
+
+    res = await post('/', 'application/json; charset=latin1', '{}');
+    assert.equal(res.status, 415);
+    assert.equal(await res.text(), 'Body must be encoded as utf-8.');
+});
+
+test('malformed bodies are declined with 400', async () => {
+    for(const body of [ '{"a":', '[1,2]', 'null' ]) {
+        let res = await post('/', 'application/json', body);
+        assert.equal(res.status, 400, body);
+    }
+
+    let res = await fetch(`${baseUrl}/`, { method : 'POST', headers : { 'Content-Type' : 'application/json' }, body : Buffer.from([ 0x7B, 0xFF, 0x7D ]) });
+    assert.equal(res.status, 400);
+    assert.equal(await res.text(), 'Body is not valid utf-8.');
+});
+
+test('bodies over the limit are declined with 413, by Content-Length or while streaming', async () => {
+    let res = await post('/', 'application/json', JSON.stringify({ text : 'x'.repeat(LIMIT) }));
+    assert.equal(res.status, 413);
+    assert.equal(res.headers.get('connection'), 'close');
+
+    let chunked = await postChunked([ '{"text":"', 'x'.repeat(LIMIT / 2), 'x'.repeat(LIMIT / 2), '"}' ]);
+    assert.equal(chunked.status, 413);
+    assert.equal(chunked.text, `Body must not be larger than ${LIMIT} bytes.`);
+
+    let small = await postChunked([ '{"a":', '1}' ]);
+    assert.equal(small.status, 200);
+    assert.deepEqual(JSON.parse(small.text).body, { a : 1 });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+'use strict';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCookies, readSignedCookie, serializeCookie, clearCookie, appendSetCookie } from '../util/cookies.mjs';
+
+process.env.COOKIE_SECRET = 'cookie-secret-for-tests-0123456789abcdef';
+
+/**
+ *
+ * @param {String} setCookie - Set-Cookie header value
+ * @returns {String} name=value as a browser sends it back.
+ */
+function toCookieHeader(setCookie) {
+    return setCookie.split(';')[0];
+}
+
+test('cookies are parsed by name, the first of a name is kept', () => {
+    let cookies = parseCookies('a=1; b="quoted"; email=ann%40example.com; a=2; bad name=x; novalue; c=%E0%A4%A');
+
+    assert.equal(cookies.get('a'), '1');
+    assert.equal(cookies.get('b'), 'quoted');
+    assert.equal(cookies.get('email'), 'ann@example.com');
+    assert.equal(cookies.get('c'), '%E0%A4%A');
+    assert.equal(cookies.has('bad name'), false);
+    assert.equal(cookies.has('novalue'), false);
+    assert.equal(parseCookies(undefined).size, 0);
+});
+
+test('serialized cookies are secure, http only and lax by default', () => {
+    let setCookie = serializeCookie('Username', 'Ann Lee', { maxAge : 60 });
+
+    assert.match(setCookie, /^Username=Ann%20Lee; Max-Age=60; Expires=[^;]+ GMT; Path=\/; Secure; HttpOnly; SameSite=Lax$/);
+    assert.equal(
+        serializeCookie('t', 'v', { path : '/api', domain : 'example.com', secure : false, httpOnly : false, sameSite : 'Strict' }),
+        't=v; Domain=example.com; Path=/api; SameSite=Strict'
+    );
+});
+
+test('names, SameSite and Max-Age are checked', () => {
+    assert.throws( () => serializeCookie('bad name', 'v'), /Cookie name: bad name is not valid/ );
+    assert.throws( () => serializeCookie('t', 'v', { sameSite : 'lax' }), /SameSite: lax is not valid/ );
+    assert.throws( () => serializeCookie('t', 'v', { sameSite : 'None', secure : false }), /must be Secure/ );
+    assert.throws( () => serializeCookie('t', 'v', { maxAge : Infinity }), /Max-Age: Infinity is not valid/ );
+});
+
+test('cleared cookies expire at once', () => {
+    assert.match(clearCookie('Access-Token'), /^Access-Token=; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=\//);
+});
+
+test('signed cookies read back only with their own name and value', () => {
+    let header = toCookieHeader( serializeCookie('Username', 'ann.lee', { signed : true }) );
+    let cookies = parseCookies(header);
+    assert.equal(readSignedCookie(cookies, 'Username'), 'ann.lee');
+
+    // * A changed value, or the value moved to another cookie, reads as absent.
+    let [ , signedValue ] = decodeURIComponent(header).split('=');
+    let signature = signedValue.slice(signedValue.lastIndexOf('.'));
+    assert.equal(readSignedCookie(parseCookies(`Username=${encodeURIComponent(`bob${signature}`)}`), 'Username'), undefined);
+    assert.equal(readSignedCookie(parseCookies(`Attempt-Email=${encodeURIComponent(signedValue)}`), 'Attempt-Email'), undefined);
+    assert.equal(readSignedCookie(parseCookies('Username=ann'), 'Username'), undefined);
+    assert.equal(readSignedCookie(parseCookies(''), 'Username'), undefined);
+});
+
+test('signatures change with COOKIE_SECRET', () => {
+    let header = toCookieHeader( serializeCookie('Username', 'ann', { signed : true }) );
+
+    let previous = process.env.COOKIE_SECRET;
+    process.env.COOKIE_SECRET = 'another-cookie-secret-for-tests-0123456789';
+    try {
+        assert.equal(readSignedCookie(parseCookies(header), 'Username'), undefined);
+    } finally {
+        process.env.COOKIE_SECRET = previous;
+    }
+    assert.equal(readSignedCookie(parseCookies(header), 'Username'), 'ann');
+});
+
+test('signing needs a COOKIE_SECRET of 32 characters', () => {
+    let previous = process.env.COOKIE_SECRET;
+    process.env.COOKIE_SECRET = 'short';
+    try {
+        assert.throws( () => serializeCookie('Username', 'ann', { signed : true }), /COOKIE_SECRET must be set to at least 32 characters/ );
+    } finally {
+        process.env.COOKIE_SECRET = previous;
+    }
+});
+
+test('Set-Cookie values are added to the ones already set', () => {
+    let headers = new Map();
+    let res = { getHeader : (name) => headers.get(name), setHeader : (name, value) => headers.set(name, value) };
+
+    appendSetCookie(res, 'a=1');
+    appendSetCookie(res, [ 'b=2', 'c=3' ]);
+    assert.deepEqual(headers.get('Set-Cookie'), [ 'a=1', 'b=2', 'c=3' ]);
+});
\ No newline at end of file
@@ -0,0 +1,150 @@
+'use strict';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCsrfToken, checkOrigin, verifyCsrfToken } from '../util/csrf.mjs';
+
+process.env.COOKIE_SECRET = 'cookie-secret-for-tests-0123456789abcdef';
+
+/**
+ *
+ * @param {String} method
+ * @param {Object} [headers]
+ * @param {Object} [body]
+ * @returns {Object} request with the fields the checks read.
+ */
+function fakeRequest(method, headers = {}, body = undefined) {
+    return { method : method, url : '/add+comment', headers : headers, body : body };
+}
+
+/**
+ *
+ * @returns {Object} response that keeps what was sent.
+ */
+function fakeResponse() {
+    return {
+        statusCode : 200,
+        headers : new Map(),
+        getHeader(name) { return this.headers.get(name.toLowerCase()); },
+        setHeader(name, value) { this.headers.set(name.toLowerCase(), value); },
+        end(body) { this.body = String(body); }
+    };
+}
+
+/**
+ *
+ * @param {Function} middleware
+ * @param {Object} req
+ * @returns {Promise<Object>} passed - whether next was called, res
+ */
+async function runMiddleware(middleware, req) {
+    let res = fakeResponse();
+    let passed = false;
+    await middleware(req, res, async () => { passed = true; });
+    return { passed, res };
+}
+
+/**
+ *
+ * @returns {Object} cookie - Cookie header of the new CSRF-Secret, token
+ */
+function startSession() {
+    let res = fakeResponse();
+    let token = getCsrfToken(fakeRequest('GET'), res);
+    let [ setCookie ] = res.getHeader('Set-Cookie');
+    return { cookie : setCookie.split(';')[0], token };
+}
+
+test('a page without the secret cookie sets it, its token is kept for the request', () => {
+    let req = fakeRequest('GET');
+    let res = fakeResponse();
+    let token = getCsrfToken(req, res);
+
+    let [ setCookie ] = res.getHeader('Set-Cookie');
+    assert.match(setCookie, /^CSRF-Secret=[\w-]{43}; Path=\/; Secure; HttpOnly; SameSite=Lax$/);
+    assert.equal(getCsrfToken(req, res), token);
+    assert.equal(res.getHeader('Set-Cookie').length, 1);
+
+    // * A client that has the cookie keeps it.
+    let nextRes = fakeResponse();
+    getCsrfToken(fakeRequest('GET', { cookie : setCookie.split(';')[0] }), nextRes);
+    assert.equal(nextRes.getHeader('Set-Cookie'), undefined);
+});
+
+test('tokens are masked differently for each page, each of them verifies', async () => {
+    let { cookie, token } = startSession();
+    let otherToken = getCsrfToken(fakeRequest('GET', { cookie }), fakeResponse());
+    assert.notEqual(otherToken, token);
+
+    for(const sentToken of [ token, otherToken ]) {
+        let { passed } = await runMiddleware(verifyCsrfToken, fakeRequest('POST', { cookie, 'x-csrf-token' : sentToken }));
+        assert.equal(passed, true);
+    }
+});
+
+test('the token is read from the header or the _csrf field of a form', async () => {
+    let { cookie, token } = startSession();
+
+    let { passed } = await runMiddleware(verifyCsrfToken, fakeRequest('POST', { cookie }, { _csrf : token, comment : 'hi' }));
+    assert.equal(passed, true);
+});
+
+test('missing, foreign and malformed tokens are declined with 403', async () => {
+    let { cookie, token } = startSession();
+    let other = startSession();
+
+    let requests = [
+        fakeRequest('POST', { cookie }),
+        fakeRequest('POST', { 'x-csrf-token' : token }),
+        fakeRequest('POST', { cookie, 'x-csrf-token' : other.token }),
+        fakeRequest('POST', { cookie : other.cookie }, { _csrf : token }),
+        fakeRequest('POST', { cookie, 'x-csrf-token' : token.slice(0, -4) }),
+        fakeRequest('POST', { cookie }, { _csrf : [ token ] })
+    ];
+    for(const req of requests) {
+        let { passed, res } = await runMiddleware(verifyCsrfToken, req);
+        assert.equal(passed, false);
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body, 'Request could not be verified, please reload the page and try again.');
+    }
+});
+
+test('safe methods pass both checks', async () => {
+    for(const method of [ 'GET', 'HEAD', 'OPTIONS' ]) {
+        let req = fakeRequest(method, { origin : 'https://evil.example', host : 'board.example' });
+        assert.equal((await runMiddleware(verifyCsrfToken, req)).passed, true);
+        assert.equal((await runMiddleware(checkOrigin, req)).passed, true);
+    }
+});
+
+test('posts from another origin are declined, the Host is the site without SITE_URL', async () => {
+    delete process.env.SITE_URL;
+    let host = 'board.example:8080';
+
+    let { passed } = await runMiddleware(checkOrigin, fakeRequest('POST', { host, origin : 'https://board.example:8080' }));
+    assert.equal(passed, true);
+    ({ passed } = await runMiddleware(checkOrigin, fakeRequest('POST', { host, referer : 'https://board.example:8080/login?x=1' })));
+    assert.equal(passed, true);
+    // * Neither header is left to the token check.
+    ({ passed } = await runMiddleware(checkOrigin, fakeRequest('POST', { host })));
+    assert.equal(passed, true);
+
+    for(const headers of [ { origin : 'https://evil.example' }, { origin : 'null' }, { referer : 'not a url' }, { referer : 'https://evil.example/board.example:8080' } ]) {
+        let { passed, res } = await runMiddleware(checkOrigin, fakeRequest('POST', { host, ...headers }));
+        assert.equal(passed, false, JSON.stringify(headers));
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body, 'Request was sent from another site.');
+    }
+});
+
+test('SITE_URL is the site when set', async () => {
+    process.env.SITE_URL = 'https://board.example/';
+    try {
+        let { passed } = await runMiddleware(checkOrigin, fakeRequest('POST', { host : 'internal:3000', origin : 'https://board.example' }));
+        assert.equal(passed, true);
+
+        ({ passed } = await runMiddleware(checkOrigin, fakeRequest('POST', { host : 'internal:3000', origin : 'http://internal:3000' })));
+        assert.equal(passed, false);
+    } finally {
+        delete process.env.SITE_URL;
+    }
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+'use strict';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createRouter } from '../util/http-router.mjs';
+
+const calls = [];
+const router = createRouter({
+    onNotFound : (req, res) => { res.statusCode = 404; res.end('not found'); },
+    onError : (req, res, e) => { res.statusCode = 500; res.end(`error: ${e}`); }
+});
+
+router.use( async (req, res, next) => {
+    calls.push(`use ${req.method} ${req.route}`);
+    await next();
+});
+router.get('/api/threads/:id/replies', (req, res) => {
+    res.end(JSON.stringify({ route : req.route, path : req.path, params : req.params }));
+});
+router.get('/login', (req, res) => { res.end('login page'); });
+router.post('/login',
+    async (req, res, next) => { calls.push('check'); await next(); calls.push('check done'); },
+    (req, res) => { calls.push('login'); res.end('signed in'); }
+);
+router.post('/declined',
+    (req, res) => { res.statusCode = 403; res.end('declined'); },
+    () => { calls.push('never'); }
+);
+router.get('/throws', () => { throw 'Broken handler.'; });
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer( (req, res) => router.handle(req, res) );
+    await new Promise( (resolve) => server.listen(0, '127.0.0.1', resolve) );
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise( (resolve) => server.close(resolve) );
+});
+
+test('path params are decoded into req.params, the query is not part of the path', async () => {
+    let res = await fetch(`${baseUrl}/api/threads/a%20b/replies?after=4`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { route : '/api/threads/:id/replies', path : '/api/threads/a%20b/replies', params : { id : 'a b' } });
+});
+
+test('middleware and handlers run in order, awaiting next runs the rest', async () => {
+    calls.length = 0;
+    let res = await fetch(`${baseUrl}/login`, { method : 'POST' });
+    assert.equal(await res.text(), 'signed in');
+    assert.deepEqual(calls, [ 'use POST /login', 'check', 'login', 'check done' ]);
+});
+
+test('a handler that does not call next ends the chain', async () => {
+    calls.length = 0;
+    let res = await fetch(`${baseUrl}/declined`, { method : 'POST' });
+    assert.equal(res.status, 403);
+    assert.deepEqual(calls, [ 'use POST /declined' ]);
+});
+
+test('HEAD is answered by GET without a body', async () => {
+    let res = await fetch(`${baseUrl}/login`, { method : 'HEAD' });
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), '');
+});
+
+test('other methods of a known path get 405 with Allow, OPTIONS gets 204', async () => {
+    let res = await fetch(`${baseUrl}/login`, { method : 'DELETE' });
+    assert.equal(res.status, 405);
+    assert.equal(res.headers.get('allow'), 'GET, HEAD, POST, OPTIONS');
+
+    res = await fetch(`${baseUrl}/login`, { method : 'OPTIONS' });
+    assert.equal(res.status, 204);
+    assert.equal(res.headers.get('allow'), 'GET, HEAD, POST, OPTIONS');
+});
+
+test('unknown paths go to onNotFound, thrown errors to onError', async () => {
+    let res = await fetch(`${baseUrl}/api/threads/1`);
+    assert.equal(res.status, 404);
+    assert.equal(await res.text(), 'not found');
+
+    res = await fetch(`${baseUrl}/throws`);
+    assert.equal(res.status, 500);
+    assert.equal(await res.text(), 'error: Broken handler.');
+});
+
+test('routes are registered once per method and need a handler', () => {
+    let localRouter = createRouter();
+    localRouter.get('/a', () => {});
+
+    assert.throws( () => localRouter.get('/a', () => {}), /GET \/a is already registered/ );
+    assert.throws( () => localRouter.post('/b'), /POST \/b has no handler/ );
+    assert.equal(localRouter.post('/a', () => {}), localRouter);
+});
\ No newline at end of file
@@ -0,0 +1,132 @@
+'use strict';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeHeaderText, formatAddress, createMessageId, htmlToText, buildMessage } from '../util/mime-message.mjs';
+
+/**
+ *
+ * @param {String} encoded - quoted-printable with CRLF line ends.
+ * @returns {String} text
+ */
+function decodeQuotedPrintable(encoded) {
+    let bytes = [];
+    let joined = encoded.replace(/=\r\n/g, '');
+    for(let i = 0; i < joined.length; i++) {
+        if(joined[i] == '=') {
+            bytes.push(Number.parseInt(joined.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(joined.charCodeAt(i));
+        }
+    }
+    return Buffer.from(bytes).toString('utf-8');
+}
+
+/**
+ *
+ * @param {String} raw
+ * @returns {Object} headers - Map of the unfolded headers, parts - Array of { headers, body }
+ */
+function splitMessage(raw) {
+    let [ head, ...rest ] = raw.split('\r\n\r\n');
+    let headers = new Map( head.replace(/\r\n /g, ' ').split('\r\n').map( (line) => {
+        let index = line.indexOf(':');
+        return [ line.slice(0, index), line.slice(index + 2) ];
+    }) );
+
+    let boundary = /boundary="([^"]+)"/.exec(headers.get('Content-Type'))[1];
+    let parts = rest.join('\r\n\r\n').split(`--${boundary}`).slice(1, -1).map( (part) => {
+        let [ partHead, ...body ] = part.replace(/^\r\n/, '').replace(/\r\n$/, '').split('\r\n\r\n');
+        return { headers : partHead, body : body.join('\r\n\r\n') };
+    });
+
+    return { headers, parts };
+}
+
+test('header text is left as it is when it is printable ASCII', () => {
+    assert.equal(encodeHeaderText('Confirm your email'), 'Confirm your email');
+});
+
+test('other header text is split into encoded words of whole characters', () => {
+    let text = 'Bestätigen Sie Ihre E-Mail-Adresse, bevor der Code abläuft 🙂';
+    let encoded = encodeHeaderText(text);
+    let words = encoded.split('\r\n ');
+
+    assert.ok(words.length > 1);
+    let decoded = words.map( (word) => {
+        let match = /^=\?utf-8\?B\?([A-Za-z0-9+/=]+)\?=$/.exec(word);
+        assert.ok(Boolean(match), word);
+        assert.ok(word.length <= 75, word);
+        // * Each word decodes on its own, no character is cut in half.
+        let wordText = Buffer.from(match[1], 'base64').toString('utf-8');
+        assert.ok(!wordText.includes('�'), word);
+        return wordText;
+    }).join('');
+    assert.equal(decoded, text);
+});
+
+test('addresses quote or encode the display name', () => {
+    assert.equal(formatAddress('board@example.com'), '<board@example.com>');
+    assert.equal(formatAddress('board@example.com', 'Board, "Mods"'), '"Board, \\"Mods\\"" <board@example.com>');
+    assert.match(formatAddress('board@example.com', 'Tablón'), /^=\?utf-8\?B\?.+\?= <board@example\.com>$/);
+});
+
+test('message ids end with the sender domain', () => {
+    assert.match(createMessageId('board@example.com'), /^<[0-9a-f]{24}\.\d+@example\.com>$/);
+    assert.notEqual(createMessageId('board@example.com'), createMessageId('board@example.com'));
+    assert.match(createMessageId(undefined), /@localhost>$/);
+});
+
+test('html is turned into text that keeps its links', () => {
+    let html = '<html><head><title>t</title><style>p{}</style></head><body>'
+                + '<h1>Hello &amp; welcome</h1><p>Your code:<br/>1234</p>'
+                + '<p><a href="https://example.com/reset">Reset password</a> or <a href="https://example.com">https://example.com</a></p>'
+                + '<!-- note --></body></html>';
+
+    assert.equal(htmlToText(html), 'Hello & welcome\n\nYour code:\n1234\n\nReset password ( https://example.com/reset ) or https://example.com');
+});
+
+test('messages are multipart/alternative with text before html', () => {
+    let html = `<p>Café ${'long line '.repeat(20)}</p>`;
+    let { raw, messageId } = buildMessage({
+        from : 'board@example.com',
+        fromName : 'Comment Board',
+        to : 'user@example.org',
+        subject : 'Reset your password',
+        html : html,
+        replyTo : 'help@example.com',
+        listUnsubscribe : 'https://example.com/unsubscribe'
+    });
+    let { headers, parts } = splitMessage(raw);
+
+    assert.equal(headers.get('From'), '"Comment Board" <board@example.com>');
+    assert.equal(headers.get('To'), '<user@example.org>');
+    assert.equal(headers.get('Message-ID'), messageId);
+    assert.equal(headers.get('Reply-To'), '<help@example.com>');
+    assert.equal(headers.get('List-Unsubscribe'), '<https://example.com/unsubscribe>');
+    assert.equal(headers.get('List-Unsubscribe-Post'), 'List-Unsubscribe=One-Click');
+    assert.equal(headers.get('MIME-Version'), '1.0');
+
+    assert.equal(parts.length, 2);
+    assert.match(parts[0].headers, /text\/plain; charset=utf-8/);
+    assert.match(parts[1].headers, /text\/html; charset=utf-8/);
+    assert.equal(decodeQuotedPrintable(parts[0].body), htmlToText(html));
+    assert.equal(decodeQuotedPrintable(parts[1].body), html);
+
+    for(const line of raw.split('\r\n')) {
+        assert.ok(line.length <= 76 || line.startsWith('Content-Type: multipart'), line);
+    }
+});
+
+test('a message sent again keeps its id, mailto unsubscribe is not one click', () => {
+    let { raw, messageId } = buildMessage({
+        from : 'board@example.com', to : 'user@example.org', subject : 's', html : '<p>x</p>', text : 'plain',
+        messageId : '<kept@example.com>', listUnsubscribe : 'mailto:unsubscribe@example.com'
+    });
+    let { headers, parts } = splitMessage(raw);
+
+    assert.equal(messageId, '<kept@example.com>');
+    assert.equal(headers.get('Message-ID'), '<kept@example.com>');
+    assert.equal(headers.has('List-Unsubscribe-Post'), false);
+    assert.equal(decodeQuotedPrintable(parts[0].body), 'plain');
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+'use strict';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { guardRequest, getClientIp, isFromTrustedProxy } from '../util/rate-limiter.mjs';
+
+/**
+ *
+ * @param {String} ip
+ * @param {String} method
+ * @param {String} url
+ * @param {Object} [headers]
+ * @returns {Object} request with the fields the limiter reads.
+ */
+function fakeRequest(ip, method, url, headers = {}) {
+    return { method : method, url : url, headers : headers, socket : { remoteAddress : ip } };
+}
+
+/**
+ *
+ * @returns {Object} response that keeps what was sent.
+ */
+function fakeResponse() {
+    return {
+        statusCode : 200,
+        headers : new Map(),
+        setHeader(name, value) { this.headers.set(name.toLowerCase(), value); },
+        end(body) { this.body = body; }
+    };
+}
+
+test('opening a form page takes no tokens of its post', () => {
+    let ip = '192.0.2.10';
+    for(const method of [ 'GET', 'POST', 'GET', 'GET', 'GET', 'GET' ]) {
+        let res = fakeResponse();
+        assert.equal(guardRequest(fakeRequest(ip, method, '/signup'), res), true, `${method} /signup`);
+    }
+});
+
+test('posts over the route capacity are limited with Retry-After', () => {
+    let ip = '192.0.2.11';
+    for(let i = 0; i < 3; i++) {
+        assert.equal(guardRequest(fakeRequest(ip, 'POST', '/signup?x=1'), fakeResponse()), true);
+    }
+
+    let res = fakeResponse();
+    assert.equal(guardRequest(fakeRequest(ip, 'POST', '/signup'), res), false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers.get('retry-after'), '300');
+
+    // * Other routes keep their own bucket.
+    assert.equal(guardRequest(fakeRequest(ip, 'POST', '/login'), fakeResponse()), true);
+});
+
+test('buckets are kept per ip', () => {
+    for(let i = 0; i < 3; i++) {
+        guardRequest(fakeRequest('192.0.2.12', 'POST', '/forgot+password'), fakeResponse());
+    }
+    assert.equal(guardRequest(fakeRequest('192.0.2.12', 'POST', '/forgot+password'), fakeResponse()), false);
+    assert.equal(guardRequest(fakeRequest('192.0.2.13', 'POST', '/forgot+password'), fakeResponse()), true);
+});
+
+test('forwarded addresses are only read from trusted proxies', () => {
+    let previous = process.env.TRUSTED_PROXIES;
+    process.env.TRUSTED_PROXIES = '127.0.0.1, 10.0.0.2';
+    try {
+        let headers = { 'x-forwarded-for' : '198.51.100.7, 10.0.0.2' };
+        assert.equal(getClientIp(fakeRequest('::ffff:127.0.0.1', 'GET', '/', headers)), '198.51.100.7');
+        assert.equal(isFromTrustedProxy(fakeRequest('127.0.0.1', 'GET', '/')), true);
+
+        assert.equal(getClientIp(fakeRequest('203.0.113.5', 'GET', '/', headers)), '203.0.113.5');
+        assert.equal(getClientIp(fakeRequest('127.0.0.1', 'GET', '/', { 'x-real-ip' : '198.51.100.8' })), '198.51.100.8');
+    } finally {
+        if(previous === undefined) { delete process.env.TRUSTED_PROXIES; } else { process.env.TRUSTED_PROXIES = previous; }
+    }
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+'use strict';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { renderTemplate, clearTemplateCache } from '../util/template-engine.mjs';
+
+// * Views are read from ./public/view, the tests run in a directory of their own views.
+const repoDir = process.cwd();
+let viewDir;
+
+/**
+ *
+ * @param {String} name - path within public/view
+ * @param {String} source
+ */
+async function writeView(name, source) {
+    await fs.writeFile(path.join(viewDir, name), source, { encoding : 'utf-8' });
+}
+
+before(async () => {
+    let tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-engine-'));
+    viewDir = path.join(tempDir, 'public', 'view');
+    await fs.mkdir(path.join(viewDir, 'partials'), { recursive : true });
+    process.chdir(tempDir);
+});
+
+after(async () => {
+    let tempDir = process.cwd();
+    process.chdir(repoDir);
+    await fs.rm(tempDir, { recursive : true, force : true });
+});
+
+beforeEach(() => {
+    clearTemplateCache();
+});
+
+test('values are escaped unless written with three braces', async () => {
+    await writeView('value.html', '<p title="{{ title }}">{{ comment.author }}</p>{{{ html }}}');
+
+    let html = await renderTemplate('value.html', { title : '"x"', comment : { author : '<b>Ann</b>' }, html : '<i>ok</i>' });
+    assert.equal(html, '<p title="&quot;x&quot;">&lt;b&gt;Ann&lt;/b&gt;</p><i>ok</i>');
+});
+
+test('missing values render empty', async () => {
+    await writeView('missing.html', '[{{ nothing }}][{{ a.b.c }}]');
+    assert.equal(await renderTemplate('missing.html'), '[][]');
+});
+
+test('if, unless and else pick a branch, empty lists are false', async () => {
+    await writeView('blocks.html', '{{#if list}}some{{else}}none{{/if}}|{{#unless isOn}}off{{/unless}}{{! hidden }}');
+
+    assert.equal(await renderTemplate('blocks.html', { list : [], isOn : false }), 'none|off');
+    assert.equal(await renderTemplate('blocks.html', { list : [ 1 ], isOn : true }), 'some|');
+});
+
+test('each reads the item first, then the outer values', async () => {
+    await writeView('each.html', '{{#each items}}{{ @index }}:{{ name }}{{ suffix }}{{#unless @last}},{{/unless}}{{else}}empty{{/each}}');
+
+    let values = { suffix : '!', items : [ { name : 'a' }, { name : 'b', suffix : '?' } ] };
+    assert.equal(await renderTemplate('each.html', values), '0:a!,1:b?');
+    assert.equal(await renderTemplate('each.html', { items : [] }), 'empty');
+});
+
+// * Every node has children, a missing key would be looked up in the outer scopes.
+test('partials are given their arguments and can render themselves', async () => {
+    await writeView('partials/node.html', '<li>{{ label }}{{ name }}{{#if children}}<ul>{{#each children}}{{> node }}{{/each}}</ul>{{/if}}</li>');
+    await writeView('tree.html', '{{> node label="#" }}');
+
+    let html = await renderTemplate('tree.html', { name : 'root', children : [ { name : 'a', children : [ { name : 'b', children : [] } ] } ] });
+    assert.equal(html, '<li>#root<ul><li>#a<ul><li>#b</li></ul></li></ul></li>');
+});
+
+test('template errors name the line', async () => {
+    await writeView('broken.html', 'one\n{{#if open}}\nnever closed');
+    await assert.rejects(renderTemplate('broken.html'), /broken\.html line: 2 \| "#if" is never closed\./);
+
+    await writeView('unknown.html', '{{#with x}}{{/with}}');
+    await assert.rejects(renderTemplate('unknown.html'), /Unknown block "#with"/);
+
+    await writeView('path.html', '{{ a-b }}');
+    await assert.rejects(renderTemplate('path.html'), /"a-b" is not a value path/);
+});
+
+test('compiled views are cached until cleared, TEMPLATE_CACHE=false reads them every time', async () => {
+    await writeView('cached.html', 'first');
+    assert.equal(await renderTemplate('cached.html'), 'first');
+
+    await writeView('cached.html', 'second');
+    assert.equal(await renderTemplate('cached.html'), 'first');
+
+    clearTemplateCache();
+    assert.equal(await renderTemplate('cached.html'), 'second');
+
+    process.env.TEMPLATE_CACHE = 'false';
+    try {
+        await writeView('cached.html', 'third');
+        assert.equal(await renderTemplate('cached.html'), 'third');
+    } finally {
+        delete process.env.TEMPLATE_CACHE;
+    }
+});
\ No newline at end of file
@@ -0,0 +1,190 @@
+'use strict';
+import { IncomingMessage, ServerResponse } from 'http';
+import { debugLog } from './logger.mjs';
+
+/*
+ * * Bodies are counted while they stream in, one over the limit is declined with 413 before the rest is read.
+ * * json : application/json, urlencoded : application/x-www-form-urlencoded - forms posted without javascript.
+ * * The parsed body is kept as req.body, and its type as req.bodyType. A request without a body gets {}.
+ */
+const DEFAULT_LIMIT = 16 * 1024;
+const BODY_TYPES = new Map( [
+    [ 'application/json', 'json' ],
+    [ 'application/x-www-form-urlencoded', 'urlencoded' ],
+] );
+
+/**
+ *
+ * @param {Number} status - 400 | 413 | 415
+ * @param {String} message - sent to the client.
+ * @returns {Object} status, message
+ */
+function bodyError(status, message) {
+    return { status : status, message : message };
+}
+
+/**
+ *
+ * @param {ServerResponse} res
+ * @param {Object} error - from bodyError()
+ */
+function sendDeclined(res, error) {
+    let message = Buffer.from(error.message, 'utf-8');
+
+    res.statusCode = error.status;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Length', message.byteLength);
+    if(error.status == 413) {
+        // * The rest of the body is never read, the connection can not be reused.
+        res.setHeader('Connection', 'close');
+    }
+    res.end(message);
+}
+
+/**
+ *
+ * @param {IncomingMessage} req
+ * @returns {Boolean} true when the request carries a body.
+ */
+function hasBody(req) {
+    return req.headers['transfer-encoding'] !== undefined || Number.parseInt(req.headers['content-length']) > 0;
+}
+
+/**
+ *
+ * @param {IncomingMessage} req
+ * @returns {Array<String>} media type in lower case, then its parameters.
+ */
+function splitContentType(req) {
+    let [ mediaType, ...params ] = String(req.headers['content-type'] ?? '').split(';');
+    return [ mediaType.trim().toLowerCase(), ...params ];
+}
+
+/**
+ *
+ * @param {IncomingMessage} req
+ * @param {Array<String>} types - body types the route accepts.
+ * @returns {String} 'json' | 'urlencoded'
+ */
+function getBodyType(req, types) {
+    let [ mediaType, ...params ] = splitContentType(req);
+    let bodyType = BODY_TYPES.get(mediaType);
+    if(!Boolean(bodyType) || !types.includes(bodyType)) {
+        let accepted = [ ...BODY_TYPES ].filter( ([, type]) => types.includes(type) ).map( ([mediaName]) => mediaName );
+        throw bodyError(415, `Content-Type must be ${accepted.join(' or ')}.`);
+    }
+
+    let charset = params.map( (param) => param.trim().toLowerCase() ).find( (param) => param.startsWith('charset=') );
+    if(Boolean(charset) && !['charset=utf-8', 'charset="utf-8"'].includes(charset)) {
+        throw bodyError(415, 'Body must be encoded as utf-8.');
+    }
+
+    return bodyType;
+}
+
+/**
+ * Reads the body, reading stops once the limit is passed.
+ * @param {IncomingMessage} req
+ * @param {Number} limit - bytes
+ * @returns {Promise<Buffer>} body
+ */
+function readBody(req, limit) {
+    return new Promise( (resolve, reject) => {
+        let tooLarge = bodyError(413, `Body must not be larger than ${limit} bytes.`);
+
+        // * Content-Length is declined before reading, chunked bodies are counted as they arrive.
+        if(Number.parseInt(req.headers['content-length']) > limit) {
+            return reject(tooLarge);
+        }
+
+        let chunks = [];
+        let size = 0;
+        let isDone = false;
+
+        let finish = (error, body) => {
+            if(isDone) { return ; }
+            isDone = true;
+            req.removeListener('data', onData);
+            if(Boolean(error)) { return reject(error); }
+            resolve(body);
+        };
+
+        let onData = (chunk) => {
+            size += chunk.length;
+            if(size > limit) {
+                req.pause();
+                return finish(tooLarge);
+            }
+            chunks.push(chunk);
+        };
+
+        req.on('data', onData);
+        req.once('end', () => finish(null, Buffer.concat(chunks)));
+        req.once('error', () => finish(bodyError(400, 'Body was not fully received.')));
+        req.once('close', () => finish(bodyError(400, 'Body was not fully received.')));
+    });
+}
+
+/**
+ *
+ * @param {Buffer} body
+ * @param {String} bodyType - 'json' | 'urlencoded'
+ * @returns {Object} fields of the body.
+ */
+function decodeBody(body, bodyType) {
+    let text = '';
+    try {
+        text = new TextDecoder('utf-8', { fatal : true }).decode(body);
+    } catch (e) { throw bodyError(400, 'Body is not valid utf-8.'); }
+
+    if(bodyType == 'urlencoded') {
+        // * A field sent more than once keeps its last value.
+        return Object.fromEntries( new URLSearchParams(text) );
+    }
+
+    let fields = null;
+    try {
+        fields = JSON.parse(text);
+    } catch (e) { throw bodyError(400, 'Body is not valid JSON.'); }
+
+    if(fields === null || typeof fields != 'object' || Array.isArray(fields)) {
+        throw bodyError(400, 'Body must be a JSON object.');
+    }
+    return fields;
+}
+
+/**
+ * Middleware that parses the body of the request into req.body.
+ * @param {Object} [options]
+ * @param {Number} [options.limit] - bytes, 16KiB when not given.
+ * @param {Array<String>} [options.types] - 'json' | 'urlencoded', both when not given.
+ * @returns {Function} middleware - (req, res, next)
+ */
+export function parseBody(options = {}) {
+    const limit = options.limit ?? DEFAULT_LIMIT;
+    const types = options.types ?? [ ...BODY_TYPES.values() ];
+
+    return async (req, res, next) => {
+        req.body = {};
+        req.bodyType = null;
+
+        if(!hasBody(req)) {
+            // * A form without fields is still a form, ie: a logout button.
+            req.bodyType = BODY_TYPES.get(splitContentType(req)[0]) ?? null;
+        } else {
+            try {
+                req.bodyType = getBodyType(req, types);
+                req.body = decodeBody( await readBody(req, limit), req.bodyType );
+
+            } catch (e) {
+                if(!Boolean(e?.status)) { throw e; }
+
+                debugLog(3, `Body of ${req.method} ${req.url} declined: ${e.status} `, e.message);
+                // ? 400 : Bad Request, 413 : Content Too Large, 415 : Unsupported Media Type
+                return sendDeclined(res, e);
+            }
+        }
+
+        await next();
+    };
+}
\ No newline at end of file
@@ -1,26 +1,18 @@
 'use strict';
-import fs from 'fs/promises';
 import { debugLog } from '../util/logger.mjs';
 
 /**
- * 
- * @param {String} fileName 
- * @param {Object.<String, String>} values 
- * @returns {String} html
+ * Escapes text so it is displayed as is inside html content or attributes.
+ * @param {String} text 
+ * @returns {String} html safe text
  */
-export async function setValuesInHTML(fileName, values) {
-
-    let html = await fs.readFile(`./public/view/${fileName}`, { encoding: 'utf-8'});
-
-    for(let [replace, value] of Object.entries(values)) {
-        // let raw = String.raw`replace`;
-        // const replaceStr = String.raw`${replace}`;
-        let regEx = RegExp(`(${replace})`, 'g');
-
-        html = html.replace(regEx, value);
-    }
-
-    return html;
+export function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 /**
@@ -63,33 +55,5 @@ export function getGoogleAuthCode(reqUrl) {
 
         return sterileCode;
         
-    } catch (e) { debugLog(3, '', e, e.stack); }
-}
-
-/**
- * 
- * @param {Object} reqCookie
- * @param {Array<String>} chkHeaders
- * @returns {Map}
- */
-export function getClientCookieMap(reqCookie, chkValues) {
-    try{ 
-        if(!Boolean(reqCookie)) throw 'Cookie is empty.';
-        debugLog(6, 'Checking the cookie: ', reqCookie);
-        let cookieMap = new Map();
-    
-        for(const value of chkValues) {
-            if(reqCookie.includes(value)) {
-                let key = value;
-                let firstValue = reqCookie.split(value + '=')[1].split(';');
-                let val = firstValue[0];
-                cookieMap.set(key, val);
-            } else {
-                throw 'Cookie does not contain checked value.';
-            };
-        }
-        
-        return cookieMap;
-
     } catch (e) { debugLog(3, '', e, e.stack); }
 }
\ No newline at end of file
@@ -0,0 +1,88 @@
+'use strict';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+/*
+ * * Responses are sent with brotli or gzip when the client's Accept-Encoding allows it, br is preferred at equal weight.
+ * * Bodies under COMPRESS_MIN_BYTES (1024 when not set) are sent as they are, the encoding would cost more than it saves.
+ * * Rendered pages are compressed quickly on every request, static files are compressed once at the best level and cached.
+ */
+const DEFAULT_MIN_BYTES = 1024;
+const ENCODINGS = [ 'br', 'gzip' ];
+const COMPRESSIBLE_REGEX = /^(?:text\/|application\/(?:json|javascript|xml|manifest\+json)|image\/svg\+xml)/i;
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+/**
+ *
+ * @returns {Number} bytes
+ */
+export function getCompressMinBytes() {
+    let minBytes = Number.parseInt(process.env.COMPRESS_MIN_BYTES);
+    if(!Number.isSafeInteger(minBytes) || minBytes < 0) { return DEFAULT_MIN_BYTES; }
+    return minBytes;
+}
+
+/**
+ * Images other than svg, fonts and archives are compressed already.
+ * @param {String} contentType
+ * @returns {Boolean}
+ */
+export function isCompressible(contentType) {
+    return COMPRESSIBLE_REGEX.test(String(contentType ?? ''));
+}
+
+/**
+ * Picks the encoding with the highest q of the ones the client accepts.
+ * @param {String} [acceptEncoding] - ie: "gzip, deflate, br;q=0.9"
+ * @returns {String|null} 'br' | 'gzip', null to send the body as it is.
+ */
+export function negotiateEncoding(acceptEncoding) {
+    if(!Boolean(acceptEncoding)) { return null; }
+
+    let weights = new Map();
+    for(const part of String(acceptEncoding).split(',')) {
+        let [ coding, ...params ] = part.trim().toLowerCase().split(';');
+        let q = 1;
+        for(const param of params) {
+            let [ key, value ] = param.trim().split('=');
+            if(key == 'q') { q = Number.parseFloat(value); }
+        }
+        if(Boolean(coding) && !Number.isNaN(q)) { weights.set(coding, q); }
+    }
+
+    let chosen = null;
+    let chosenQ = 0;
+    for(const encoding of ENCODINGS) {
+        // ? "*" covers the codings that are not named.
+        let q = weights.get(encoding) ?? weights.get('*') ?? 0;
+        if(q > chosenQ) {
+            chosen = encoding;
+            chosenQ = q;
+        }
+    }
+    return chosen;
+}
+
+/**
+ *
+ * @param {Buffer} content
+ * @param {String} encoding - 'br' | 'gzip'
+ * @param {Boolean} [isBest] - slowest and smallest, for content that is compressed once and cached.
+ * @returns {Promise<Buffer>}
+ */
+export function compressContent(content, encoding, isBest = false) {
+    if(encoding == 'br') {
+        return brotliCompress(content, {
+            params : {
+                [zlib.constants.BROTLI_PARAM_QUALITY] : isBest ? zlib.constants.BROTLI_MAX_QUALITY : 5,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT] : content.byteLength
+            }
+        });
+    }
+    if(encoding == 'gzip') {
+        return gzip(content, { level : isBest ? zlib.constants.Z_BEST_COMPRESSION : 6 });
+    }
+    throw `Encoding: ${encoding} is not supported.`;
+}
\ No newline at end of file
@@ -0,0 +1,153 @@
+'use strict';
+import crypto from 'crypto';
+import { ServerResponse } from 'http';
+import { deriveKey } from './secrets.mjs';
+
+/*
+ * * Cookie headers are read and Set-Cookie values are written as RFC 6265 describes.
+ * * Values are percent-encoded, so emails and base64 hashes can be stored as they are.
+ * * Signed values carry an HMAC of their name and value, "value.signature", a changed or moved cookie reads as absent.
+ * * They are signed with the 'cookie' key of COOKIE_SECRET, see secrets.mjs.
+ */
+const NAME_REGEX = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const SAME_SITE = [ 'Strict', 'Lax', 'None' ];
+
+/**
+ *
+ * @param {String} name
+ * @param {String} value
+ * @returns {String} base64url HMAC-SHA256 of the name and value.
+ */
+function signValue(name, value) {
+    return crypto.createHmac('sha256', deriveKey('COOKIE_SECRET', 'cookie')).update(`${name}=${value}`).digest('base64url');
+}
+
+/**
+ * The first cookie of a name is kept, browsers send the one with the longest path first.
+ * @param {String} [cookieHeader] - Cookie header of the request.
+ * @returns {Map<String, String>} name to value, empty when there are no cookies.
+ */
+export function parseCookies(cookieHeader) {
+    let cookies = new Map();
+    if(!Boolean(cookieHeader)) { return cookies; }
+
+    for(const pair of String(cookieHeader).split(';')) {
+        let index = pair.indexOf('=');
+        if(index < 0) { continue; }
+
+        let name = pair.slice(0, index).trim();
+        if(!NAME_REGEX.test(name) || cookies.has(name)) { continue; }
+
+        let value = pair.slice(index + 1).trim();
+        if(value.length > 1 && value.startsWith('"') && value.endsWith('"')) {
+            value = value.slice(1, -1);
+        }
+        try {
+            value = decodeURIComponent(value);
+        } catch (e) { /* * Kept as sent when it is not percent-encoded. */ }
+
+        cookies.set(name, value);
+    }
+
+    return cookies;
+}
+
+/**
+ *
+ * @param {Map<String, String>} cookies - from parseCookies()
+ * @param {String} name
+ * @returns {String|undefined} value, undefined when missing or the signature does not match.
+ */
+export function readSignedCookie(cookies, name) {
+    let signedValue = cookies.get(name);
+    if(!Boolean(signedValue)) { return undefined; }
+
+    let index = signedValue.lastIndexOf('.');
+    if(index < 0) { return undefined; }
+
+    let value = signedValue.slice(0, index);
+    let signature = Buffer.from(signedValue.slice(index + 1), 'utf-8');
+    let expected = Buffer.from(signValue(name, value), 'utf-8');
+    if(signature.byteLength != expected.byteLength || !crypto.timingSafeEqual(signature, expected)) {
+        return undefined;
+    }
+
+    return value;
+}
+
+/**
+ *
+ * @param {String} name
+ * @param {String} value
+ * @param {Object} [options]
+ * @param {Number} [options.maxAge] - seconds, Expires is set to match for older browsers.
+ * @param {Date} [options.expires] - used when maxAge is not given, a session cookie when neither is.
+ * @param {String} [options.path] - '/' when not given.
+ * @param {String} [options.domain]
+ * @param {Boolean} [options.secure] - true when not given.
+ * @param {Boolean} [options.httpOnly] - true when not given.
+ * @param {String} [options.sameSite] - 'Strict' | 'Lax' | 'None', 'Lax' when not given.
+ * @param {Boolean} [options.signed] - read it back with readSignedCookie().
+ * @returns {String} Set-Cookie header value
+ */
+export function serializeCookie(name, value, options = {}) {
+    if(!NAME_REGEX.test(name)) { throw `Cookie name: ${name} is not valid.`; }
+
+    let sameSite = options.sameSite ?? 'Lax';
+    if(!SAME_SITE.includes(sameSite)) { throw `Cookie SameSite: ${sameSite} is not valid.`; }
+
+    let secure = options.secure ?? true;
+    // * Browsers drop SameSite=None cookies that are not Secure.
+    if(sameSite == 'None' && !secure) { throw `Cookie: ${name} must be Secure to be SameSite=None.`; }
+
+    value = String(value ?? '');
+    if(options.signed) {
+        value = `${value}.${signValue(name, value)}`;
+    }
+
+    let attributes = [ `${name}=${encodeURIComponent(value)}` ];
+
+    if(options.maxAge != null) {
+        let maxAge = Math.floor(options.maxAge);
+        if(!Number.isSafeInteger(maxAge)) { throw `Cookie Max-Age: ${options.maxAge} is not valid.`; }
+        attributes.push(`Max-Age=${maxAge}`);
+        // * A Max-Age of 0 or less removes the cookie, Expires is then set in the past as well.
+        attributes.push(`Expires=${new Date(maxAge > 0 ? Date.now() + maxAge * 1000 : 0).toUTCString()}`);
+    } else if(options.expires instanceof Date) {
+        attributes.push(`Expires=${options.expires.toUTCString()}`);
+    }
+
+    if(Boolean(options.domain)) {
+        attributes.push(`Domain=${options.domain}`);
+    }
+    attributes.push(`Path=${options.path ?? '/'}`);
+    if(secure) {
+        attributes.push('Secure');
+    }
+    if(options.httpOnly ?? true) {
+        attributes.push('HttpOnly');
+    }
+    attributes.push(`SameSite=${sameSite}`);
+
+    return attributes.join('; ');
+}
+
+/**
+ * Removes the cookie, path and domain must match the ones it was set with.
+ * @param {String} name
+ * @param {Object} [options] - path, domain, secure, httpOnly, sameSite
+ * @returns {String} Set-Cookie header value
+ */
+export function clearCookie(name, options = {}) {
+    return serializeCookie(name, '', { ...options, maxAge : 0, signed : false });
+}
+
+/**
+ * Adds cookies to the ones already set on the response, instead of replacing them.
+ * @param {ServerResponse} res
+ * @param {String|Array<String>} cookies - Set-Cookie values
+ */
+export function appendSetCookie(res, cookies) {
+    let existing = res.getHeader('Set-Cookie') ?? [];
+    res.setHeader('Set-Cookie', [].concat(existing, cookies));
+}
\ No newline at end of file
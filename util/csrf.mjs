@@ -0,0 +1,174 @@
+'use strict';
+import crypto from 'crypto';
+import { IncomingMessage, ServerResponse } from 'http';
+import { debugLog } from './logger.mjs';
+import { parseCookies, serializeCookie, appendSetCookie } from './cookies.mjs';
+import { deriveKey } from './secrets.mjs';
+
+/*
+ * * Double submit: the CSRF-Secret cookie is random, pages are given an HMAC of it with the 'csrf' key of COOKIE_SECRET as their token.
+ * *     Posts send the token back as the X-CSRF-Token header, or the _csrf field of a form.
+ * *     Another site can make the browser send the cookie, but can not read a page to learn the token.
+ * * Origin, or Referer when Origin is not sent, must be the site itself. SITE_URL is the site when set, the Host header when not.
+ * * Pages are sent compressed, the token is masked with random bytes for each response so its length can not leak it.
+ */
+const SECRET_COOKIE = 'CSRF-Secret';
+const TOKEN_HEADER = 'x-csrf-token';
+const TOKEN_FIELD = '_csrf';
+const SAFE_METHODS = [ 'GET', 'HEAD', 'OPTIONS' ];
+
+/**
+ *
+ * @param {String} cookieSecret - value of the CSRF-Secret cookie.
+ * @returns {Buffer} HMAC-SHA256 token
+ */
+function createToken(cookieSecret) {
+    return crypto.createHmac('sha256', deriveKey('COOKIE_SECRET', 'csrf')).update(cookieSecret).digest();
+}
+
+/**
+ *
+ * @param {Buffer} a
+ * @param {Buffer} b - same length as a.
+ * @returns {Buffer}
+ */
+function xorBytes(a, b) {
+    return Buffer.from( a.map( (byte, i) => byte ^ b[i] ) );
+}
+
+/**
+ *
+ * @param {Buffer} token
+ * @returns {String} base64url of the pad followed by the token xor the pad.
+ */
+function maskToken(token) {
+    let pad = crypto.randomBytes(token.byteLength);
+    return Buffer.concat([ pad, xorBytes(token, pad) ]).toString('base64url');
+}
+
+/**
+ *
+ * @param {String} maskedToken
+ * @returns {Buffer|null} token, null when it is not a masked token.
+ */
+function unmaskToken(maskedToken) {
+    let bytes = Buffer.from(maskedToken, 'base64url');
+    if(bytes.byteLength == 0 || bytes.byteLength % 2 != 0) { return null; }
+
+    let half = bytes.byteLength / 2;
+    return xorBytes(bytes.subarray(half), bytes.subarray(0, half));
+}
+
+/**
+ *
+ * @param {ServerResponse} res
+ * @param {String} message
+ */
+function sendForbidden(res, message) {
+    let content = Buffer.from(message, 'utf-8');
+
+    res.statusCode = 403;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Length', content.byteLength);
+    res.end(content);
+}
+
+/**
+ *
+ * @param {IncomingMessage} req
+ * @returns {String|null} origin of the page that sent the request, null when neither header is sent.
+ */
+function getSenderOrigin(req) {
+    // * Browsers send "null" from sandboxed frames and some redirects, it is never the site.
+    if(req.headers.origin !== undefined) { return req.headers.origin; }
+
+    if(Boolean(req.headers.referer)) {
+        try {
+            return new URL(req.headers.referer).origin;
+        } catch (e) { return 'null'; }
+    }
+    return null;
+}
+
+/**
+ *
+ * @param {IncomingMessage} req
+ * @param {String} origin
+ * @returns {Boolean}
+ */
+function isSiteOrigin(req, origin) {
+    try {
+        if(Boolean(process.env.SITE_URL)) {
+            return new URL(process.env.SITE_URL).origin == origin;
+        }
+        return new URL(origin).host == req.headers.host;
+    } catch (e) { return false; }
+}
+
+/**
+ * Token for the forms of a page, the CSRF-Secret cookie is set when the client has none.
+ * @param {IncomingMessage} req
+ * @param {ServerResponse} res
+ * @returns {String} token
+ */
+export function getCsrfToken(req, res) {
+    if(Boolean(req.csrfToken)) { return req.csrfToken; }
+
+    let cookieSecret = parseCookies(req.headers.cookie).get(SECRET_COOKIE);
+    if(!Boolean(cookieSecret)) {
+        cookieSecret = crypto.randomBytes(32).toString('base64url');
+        // * A session cookie, pages left open keep working until the browser closes.
+        appendSetCookie(res, serializeCookie(SECRET_COOKIE, cookieSecret));
+    }
+
+    req.csrfToken = maskToken( createToken(cookieSecret) );
+    return req.csrfToken;
+}
+
+/**
+ * Middleware that declines requests that change state from another site.
+ * @param {IncomingMessage} req
+ * @param {ServerResponse} res
+ * @param {Function} next
+ */
+export async function checkOrigin(req, res, next) {
+    if(SAFE_METHODS.includes(req.method)) { return await next(); }
+
+    // * Clients that send neither header are left to the token check.
+    let origin = getSenderOrigin(req);
+    if(origin !== null && !isSiteOrigin(req, origin)) {
+        debugLog(3, `Cross origin ${req.method} ${req.url} declined from: `, origin);
+        // ? 403 : Forbidden
+        return sendForbidden(res, 'Request was sent from another site.');
+    }
+
+    await next();
+}
+
+/**
+ * Middleware that declines requests without the token of the client, runs after the body is parsed.
+ * @param {IncomingMessage} req
+ * @param {ServerResponse} res
+ * @param {Function} next
+ */
+export async function verifyCsrfToken(req, res, next) {
+    if(SAFE_METHODS.includes(req.method)) { return await next(); }
+
+    let cookieSecret = parseCookies(req.headers.cookie).get(SECRET_COOKIE);
+    let sentToken = req.headers[TOKEN_HEADER] ?? req.body?.[TOKEN_FIELD];
+
+    let isValid = false;
+    if(Boolean(cookieSecret) && typeof sentToken == 'string') {
+        let expected = createToken(cookieSecret);
+        let recieved = unmaskToken(sentToken);
+        isValid = Boolean(recieved) && expected.byteLength == recieved.byteLength && crypto.timingSafeEqual(expected, recieved);
+    }
+
+    if(!isValid) {
+        debugLog(3, `CSRF token of ${req.method} ${req.url} does not match.`);
+        // ? 403 : Forbidden
+        return sendForbidden(res, 'Request could not be verified, please reload the page and try again.');
+    }
+
+    await next();
+}
\ No newline at end of file
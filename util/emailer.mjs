@@ -1,229 +1,125 @@
 'use strict';
-import fs from 'fs/promises';
-import { google } from 'googleapis';
 import { debugLog } from './logger.mjs';
+import { buildMessage } from './mime-message.mjs';
+
+/*
+ * * MAIL_TRANSPORT picks how mail leaves the server:
+ * *     gmail : Gmail API with the OAuth tokens in .private/ - the default.
+ * *     smtp  : any SMTP relay, see smtp-transport.mjs for its settings.
+ * *     file  : writes .eml files to MAIL_FILE_DIR, for development and tests.
+ * * Transports are imported when first used, so googleapis is only loaded for gmail.
+ */
+const TRANSPORT_MODULES = new Map( [
+    [ 'gmail', './gmail-transport.mjs' ],
+    [ 'smtp', './smtp-transport.mjs' ],
+    [ 'file', './file-transport.mjs' ],
+] );
+const DEFAULT_TRANSPORT = 'gmail';
+const DEFAULT_FROM_NAME = 'COMMENT-STACK-BOARD Mailer';
 
-// ! In .ENV the REDIRECT_URI must be https://
-// ! REDIRECT_URI must be posted in Google Cloud API Console
-
-const AUTHE_PATH = './.private/token.json';
-const AUTHO_PATH = './.private/authorization-token.json';
-
-const SCOPES = [
-    'https://mail.google.com/',
-    /* 'https://www.googleapis.com/auth/gmail.modify',
-    'https://www.googleapis.com/auth/gmail.compose',
-    'https://www.googleapis.com/auth/gmail.send', */
-];
-
+/** @type {Map<String, Promise<Object>>} transport name to its module. */
+const transports = new Map();
 
 /**
- * Create an OAuth2 client with the saved or retrieved credentials.
+ *
+ * @returns {String} transport name
  */
-async function getAuthorization() {
-    try {
-        const oAuth2Client = new google.auth.OAuth2(
-            process.env.GM_CLIENT_ID,
-            process.env.GM_CLIENT_SECRET,
-            process.env.GM_REDIRECT_URI
-        );
-
-        let autheBuff = await fs.readFile(AUTHE_PATH);
-        let authEFile = JSON.parse(autheBuff.toString('utf-8'));
-
-        if(!Boolean(authEFile.access_token) || authEFile.expiry_date <= Date.now()) {
-
-            let authResult;
-
-            if(authEFile.expiry_date <= Date.now()) {
-                oAuth2Client.setCredentials(authEFile);
-                debugLog(3, 'Token Expired, generating new token...');
-                authResult = await generateAccessToken(oAuth2Client, true);
-            } else {
-                debugLog(3, 'Getting new token for authorization...');
-                authResult = await generateAccessToken(oAuth2Client);
-            }
-
-            if(!Boolean(authResult)) { throw 'Auth Failed.'; }
-            debugLog(6, 'Auth Result: ', authResult.credentials);
-            return authResult;
-
-        } else {
-            oAuth2Client.setCredentials(authEFile);
-            debugLog(7, 'AuthClient set credentials: ', oAuth2Client?.credentials);
-            return oAuth2Client;
-        }
-    } catch (e) { debugLog(3, 'Reading Authorization Failed: ', e, ' | ', e.stack); }
+function getTransportName() {
+    let name = String(process.env.MAIL_TRANSPORT ?? DEFAULT_TRANSPORT).trim().toLowerCase();
+    if(!TRANSPORT_MODULES.has(name)) {
+        debugLog(1, `Unknown MAIL_TRANSPORT: ${name}, using: ${DEFAULT_TRANSPORT}`);
+        return DEFAULT_TRANSPORT;
+    }
+    return name;
 }
 
 /**
- * @param {google.auth.OAuth2} oAuth2Client
- * @param {Boolean} isExpired
+ * Every transport exports send(envelope) and verify().
+ * @returns {Promise<Object>} transport module
  */
-async function generateAccessToken(oAuth2Client, isExpired) {
-    try {
-        let authoBuff = await fs.readFile(AUTHO_PATH);
-        let authOFile = JSON.parse(authoBuff.toString('utf-8'));
-
-        if(!Boolean(authOFile.auth_token)) {
-            debugLog(6, 'Unable to authorize Gmailer automatically, see "Emailer.mjs", as authorization token is not set or needs te be reset for recent code changes. Please follow url and set it in the file ".private/authorization-token.json" ');
-            renewAuthorizationToken(oAuth2Client);
-            throw 'Must renew authorization.';
-        }
-
-        let accessToken;
-
-        if(isExpired) {
-            // ? Have the credentials set before attempting getAccessToken - as it utilizes the refresh token.
-            accessToken = await oAuth2Client.getAccessToken();
-            if(!Boolean(accessToken)) { throw 'Error retrieving access token.'; }
-        } else {
-            // ! to see the exact error use callback in function > (err) 
-            accessToken = await oAuth2Client.getToken( authOFile.auth_token );
-            if(!Boolean(accessToken)) { throw 'Error retrieving access token.'; }
-        }
-
-        debugLog(3, 'Setting new Gmailer Token.');
-
-        debugLog(6, 'Token :: ', accessToken?.res?.data?.access_token );
-
-        if(Boolean(accessToken?.res?.data?.access_token)) {
-            fs.writeFile(AUTHE_PATH, JSON.stringify(accessToken?.res?.data), (err) =>  {
-                debugLog(1, '', err);
-            });
-    
-            debugLog(7, 'Writing generating access_token data: ', accessToken.res.data);
-            oAuth2Client.setCredentials(accessToken.res.data);
-            return oAuth2Client;
-        } else {
-            throw 'Error retrieving access token.';
-        }
-
-    } catch (e) { 
-        debugLog(3, 'CRITCIAL! Issue with getting Token: ', e , ' | ', e.stack); 
-        debugLog(6, 'Writing Empty Autho Token for review.');
-        // Remove authorization token so server is forced to renew.
-        writeAuthorizationToken('');
+function getTransport() {
+    let name = getTransportName();
+    if(!transports.has(name)) {
+        transports.set(name, import(TRANSPORT_MODULES.get(name)));
     }
+    return transports.get(name);
 }
 
 /**
- * 
- * @returns 
+ * MAIL_FROM : address mail is sent from, Gmail sends as GM_CLIENT_EMAIL when not set.
+ * @returns {String} address
  */
-async function getGmailClient() {
-    try {
-        debugLog(6, 'Fetching GmailClient');
-
-        let auth = await getAuthorization();
-        if(!Boolean(auth)) { throw 'Failed to getAuthorization.'; }
-
-        const gmail = google.gmail({version: 'v1', auth});
-
-        let profile = await gmail.users.getProfile({ userId: process.env.GM_CLIENT_EMAIL });
-        if (!Boolean(profile)) { throw 'The API returned an error.'; }
-
-        return gmail.users;
-
-    } catch (e) {
-        if(e.errno == 'ENOTFOUND') {
-            debugLog(3, 'CRITICAL! Failed getting GmailClient: Unable to send the request due to internet connection.'); 
-        } else {
-            debugLog(3, 'Failed getting GmailClient: ', e);
-        }
-        return null;
-    }
+function getSenderAddress() {
+    return process.env.MAIL_FROM || process.env.GM_CLIENT_EMAIL;
 }
 
 /**
- * 
- * @param {String} recipient 
+ * * MAIL_FROM_NAME, MAIL_REPLY_TO and MAIL_LIST_UNSUBSCRIBE are used when the options do not set them.
+ * @param {String} recipient
  * @param {String} emailDescription
  * @param {String} emailContent
- * @param {String} [file] 
+ * @param {String} [file]
+ * @param {Object} [options] - text, replyTo, listUnsubscribe, messageId
+ * @returns {Object} transport, id, messageId - failures are thrown, so the mail worker can retry them.
  */
-async function sendMail(recipient, emailDescription, emailContent, file) {
+async function sendMail(recipient, emailDescription, emailContent, file, options = {}) {
     try {
         if(Boolean(file)) {
             emailContent = file;
-        } else if(!Boolean(recipient) || !Boolean(emailDescription) || !Boolean(emailContent)) {
+        }
+        if(!Boolean(recipient) || !Boolean(emailDescription) || !Boolean(emailContent)) {
             throw 'Empty email content.';
         }
 
-        const gClient = await getGmailClient();
-        if(!Boolean(gClient)) { throw 'Failed to getGmailClient'; }
-        
-        const subject = emailDescription;
-        const utf8Subject = `=?utf-8?B?${Buffer.from(subject).toString('base64')}?=`;
-        const messageParts = [
-            `From: COMMENT-STACK-BOARD Mailer <${process.env.GM_CLIENT_EMAIL}>`,
-            `To: ${recipient}`,
-            'Content-Type: text/html; charset=utf-8',
-            'MIME-Version: 1.0',
-            `Subject: ${utf8Subject}`,
-            '',
-            emailContent,
-        ];
-        const message = messageParts.join('\n');
-        // The body needs to be base64url encoded.
-        const encodedMessage = Buffer.from(message) .toString('base64') .replace(/\+/g, '-') .replace(/\//g, '_') .replace(/=+$/, '');
-        const sentMessage = await gClient.messages.send({ userId: 'me', requestBody: { raw: encodedMessage } });
+        const sender = getSenderAddress();
+        if(!Boolean(sender)) { throw 'Sender address is not set.'; }
 
-        return sentMessage.data;
+        // * Some mail clients mark html only mail as spam, a plain text part is sent with it.
+        const message = buildMessage({
+            from : sender,
+            fromName : process.env.MAIL_FROM_NAME || DEFAULT_FROM_NAME,
+            to : recipient,
+            subject : emailDescription,
+            html : emailContent,
+            text : options?.text,
+            replyTo : options?.replyTo || process.env.MAIL_REPLY_TO,
+            listUnsubscribe : options?.listUnsubscribe || process.env.MAIL_LIST_UNSUBSCRIBE,
+            messageId : options?.messageId
+        });
 
-    } catch (e) { debugLog(1, "Request to send email Failed : ", e, ' | ', e.stack); }
-}
+        const transportName = getTransportName();
+        const transport = await getTransport();
+        const sentMessage = await transport.send({ from : sender, to : recipient, raw : message.raw });
 
-/**
- * 
- * @param oAuth2Client 
- * @returns 
- */
-function renewAuthorizationToken(oAuth2Client) {
-    
-    const authUrl = oAuth2Client.generateAuthUrl({
-        access_type: 'offline',
-        scope: SCOPES,
-    });
+        return { transport : transportName, id : sentMessage.id, messageId : message.messageId };
 
-    debugLog(1, 'Authorize this Email Mailer with Gmail by visiting this url: ', authUrl, '\n');
-    return false;
+    } catch (e) {
+        debugLog(1, "Request to send email Failed : ", e, ' | ', e.stack);
+        throw e;
+    }
 }
 
 /**
- * 
- * @param authoToken 
+ *
+ * @returns {Boolean} true when the transport is able to send.
  */
-function writeAuthorizationToken(authoToken) {
-
-    const jsonedToken = {
-        auth_token: authoToken
-    };
+async function testMailer() {
+    try {
+        const transport = await getTransport();
+        let isReady = await transport.verify();
+        debugLog(3, `Mail transport: ${getTransportName()} is ready? : ${isReady}`);
+        return isReady;
 
-    debugLog(6, 'Writing Authorization Token: ', jsonedToken);
-    
-    fs.writeFile(AUTHO_PATH, JSON.stringify(jsonedToken), (err) => {
-        debugLog(3, 'Failed Writing Autorization: ', err);
-    });
+    } catch (e) { debugLog(1, 'Emailer Test Failed: ', e, ' | ', e.stack); return false; }
 }
 
 /**
- * 
- * @returns 
+ * Only used by the Gmail transport.
+ * @param authoToken
  */
-async function testMailer() {
-    try {
-        debugLog(1, 'Testing Gmailer..');
-
-        const gClient = await getGmailClient();
-        if(!Boolean(gClient)) { throw 'Failed to getGmailClient'; }
-
-        let profile = await gClient.getProfile({ userId: process.env.GM_CLIENT_EMAIL });
-        if(!Boolean(profile)) { throw 'The API returned an error.'; }
-
-        return debugLog(3, 'GMail Auth Profile: ', profile.data);
-        
-    } catch (e) { debugLog(1, 'Emailer Test Failed: ', e, ' | ', e.stack); return false; }
+async function writeAuthorizationToken(authoToken) {
+    const gmail = await import(TRANSPORT_MODULES.get('gmail'));
+    return gmail.writeAuthorizationToken(authoToken);
 }
 
-export { testMailer, writeAuthorizationToken, sendMail };
\ No newline at end of file
+export { testMailer, writeAuthorizationToken, sendMail, getSenderAddress };
\ No newline at end of file
@@ -0,0 +1,52 @@
+'use strict';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { debugLog } from './logger.mjs';
+
+// * MAIL_FILE_DIR : where .eml files are written, open them with any mail client.
+const DEFAULT_MAIL_DIR = './.mail';
+
+/**
+ *
+ * @returns {String} directory
+ */
+function getMailDir() {
+    return process.env.MAIL_FILE_DIR || DEFAULT_MAIL_DIR;
+}
+
+/**
+ * Writes the message to its own .eml file instead of sending it.
+ * @param {Object} envelope - from, to, raw - raw is the full message with headers.
+ * @returns {Object} id - the file name without .eml
+ */
+async function send(envelope) {
+    let mailDir = getMailDir();
+    await fs.mkdir(mailDir, { recursive: true });
+
+    // * Sorted by name is sorted by time.
+    let id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    let filePath = path.join(mailDir, `${id}.eml`);
+    await fs.writeFile(filePath, envelope.raw, 'utf-8');
+
+    debugLog(6, `Mail to: ${envelope.to} written to: ${filePath}`);
+    return { id : id };
+}
+
+/**
+ *
+ * @returns {Boolean} true when the directory can be written to.
+ */
+async function verify() {
+    try {
+        let mailDir = getMailDir();
+        await fs.mkdir(mailDir, { recursive: true });
+        await fs.access(mailDir, fs.constants.W_OK);
+
+        debugLog(3, 'Mail is written to: ', path.resolve(mailDir));
+        return true;
+
+    } catch (e) { debugLog(1, 'File Mailer Test Failed: ', e, ' | ', e.stack); return false; }
+}
+
+export { send, verify };
\ No newline at end of file
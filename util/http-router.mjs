@@ -0,0 +1,170 @@
+'use strict';
+import { IncomingMessage, ServerResponse } from 'http';
+
+/*
+ * * Routes are a method and a path pattern, ":name" segments are read into req.params.
+ * * Handlers and middleware are called as (req, res, next), awaiting next() runs the rest of the chain.
+ * * Middleware added with use() runs before the handlers of every matched route.
+ * * HEAD is answered by the GET handlers, node leaves out the body.
+ */
+const METHODS = [ 'GET', 'POST', 'PUT', 'PATCH', 'DELETE' ];
+
+/**
+ *
+ * @param {String} pattern - ie: "/api/threads/:id/replies"
+ * @returns {Object} regex, keys
+ */
+function compilePattern(pattern) {
+    let keys = [];
+    let source = pattern.split('/').map( (segment) => {
+        if(segment.startsWith(':')) {
+            keys.push(segment.slice(1));
+            return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    return { regex : new RegExp(`^${source}$`), keys : keys };
+}
+
+/**
+ *
+ * @param {ServerResponse} res
+ * @param {Number} status - 204 | 405
+ * @param {String} allow - methods of the path.
+ */
+function sendAllowed(res, status, allow) {
+    let message = Buffer.from(status == 405 ? 'Method Not Allowed' : '', 'utf-8');
+
+    res.statusCode = status;
+    res.setHeader('Allow', allow);
+    if(status == 405) {
+        res.setHeader('Content-Type', 'text/plain');
+        res.setHeader('Content-Length', message.byteLength);
+    }
+    res.end(message);
+}
+
+/**
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onNotFound] - (req, res) no route has the path.
+ * @param {Function} [options.onError] - (req, res, e) a handler threw.
+ * @returns {Object} router - use, get, post, put, patch, delete, handle
+ */
+export function createRouter(options = {}) {
+    /** @type {Array<Object>} pattern, regex, keys, handlers : Map<method, Array<Function>> */
+    const routes = [];
+    const middleware = [];
+
+    const onNotFound = options.onNotFound ?? ( (req, res) => { res.statusCode = 404; res.end(); } );
+    const onError = options.onError ?? ( (req, res) => { res.statusCode = 500; res.end(); } );
+
+    /**
+     * @param {String} method
+     * @param {String} pattern
+     * @param {...Function} handlers
+     */
+    function addRoute(method, pattern, ...handlers) {
+        if(handlers.length == 0) { throw `Route: ${method} ${pattern} has no handler.`; }
+
+        let route = routes.find( (registered) => registered.pattern == pattern );
+        if(!Boolean(route)) {
+            route = { pattern : pattern, ...compilePattern(pattern), handlers : new Map() };
+            routes.push(route);
+        }
+        if(route.handlers.has(method)) { throw `Route: ${method} ${pattern} is already registered.`; }
+
+        route.handlers.set(method, handlers);
+        return router;
+    }
+
+    /**
+     * First registered route wins when patterns overlap.
+     * @param {String} path
+     * @returns {Object|null} route, params
+     */
+    function findRoute(path) {
+        for(const route of routes) {
+            let match = route.regex.exec(path);
+            if(!Boolean(match)) { continue; }
+
+            let params = {};
+            route.keys.forEach( (key, i) => {
+                params[key] = decodeURIComponent(match[i + 1]);
+            });
+            return { route : route, params : params };
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} route
+     * @returns {String} ie: "GET, HEAD, POST"
+     */
+    function getAllowed(route) {
+        let methods = [ ...route.handlers.keys() ];
+        if(methods.includes('GET')) { methods.splice(methods.indexOf('GET') + 1, 0, 'HEAD'); }
+        return [ ...methods, 'OPTIONS' ].join(', ');
+    }
+
+    /**
+     * Calls each function in turn, a function that does not call next() ends the chain.
+     * @param {Array<Function>} chain
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     */
+    async function runChain(chain, req, res) {
+        let index = 0;
+        let next = async () => {
+            let handler = chain[index++];
+            if(Boolean(handler)) {
+                await handler(req, res, next);
+            }
+        };
+        await next();
+    }
+
+    /**
+     * Routes the request, requests for a path that exists with another method get 405 with Allow.
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     */
+    async function handle(req, res) {
+        try {
+            let path = String(req.url).split('?')[0];
+            let found = findRoute(path);
+            if(!Boolean(found)) {
+                return await onNotFound(req, res);
+            }
+
+            let method = req.method == 'HEAD' ? 'GET' : req.method;
+            let handlers = found.route.handlers.get(method);
+            if(!Boolean(handlers)) {
+                // ? 204 : No Content - OPTIONS lists the methods of the path.
+                // ? 405 : Method Not Allowed
+                return sendAllowed(res, req.method == 'OPTIONS' ? 204 : 405, getAllowed(found.route));
+            }
+
+            req.path = path;
+            req.route = found.route.pattern;
+            req.params = found.params;
+
+            await runChain([ ...middleware, ...handlers ], req, res);
+
+        } catch (e) {
+            return await onError(req, res, e);
+        }
+    }
+
+    const router = {
+        /** @param {...Function} handlers - (req, res, next) run before every matched route. */
+        use : (...handlers) => { middleware.push(...handlers); return router; },
+        handle : handle,
+    };
+    for(const method of METHODS) {
+        router[method.toLowerCase()] = (pattern, ...handlers) => addRoute(method, pattern, ...handlers);
+    }
+
+    return router;
+}
\ No newline at end of file
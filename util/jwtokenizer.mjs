@@ -0,0 +1,106 @@
+'use strict';
+import crypto from 'crypto';
+import { debugLog } from './logger.mjs';
+import { getSecret } from './secrets.mjs';
+
+/*
+ * * HS256 tokens signed with JWT_SECRET, claims : client_id, client_name, client_email, client_role, sid, iat, exp
+ * * Kept in the repository, .private/secure/jwtokenizer.mjs is not checked in so the role and session claims could not be added to it.
+ */
+const JWT_HEADER = { alg : 'HS256', typ : 'JWT' };
+// ? 15 min exp - Access-Token cookies are set to match, the Refresh-Token renews them.
+export const JWT_LIFETIME_SEC = 15 * 60;
+
+/**
+ *
+ * @param {Object} segment
+ * @returns {String} base64url JSON
+ */
+function encodeSegment(segment) {
+    return Buffer.from(JSON.stringify(segment), 'utf-8').toString('base64url');
+}
+
+/**
+ *
+ * @param {String} signingInput - base64url header and payload joined by '.'
+ * @returns {String} base64url HMAC-SHA256 signature
+ */
+function signSegments(signingInput) {
+    return crypto.createHmac('sha256', getSecret('JWT_SECRET')).update(signingInput).digest('base64url');
+}
+
+/**
+ *
+ * @param {Number} id - login id
+ * @param {String} name
+ * @param {String} email
+ * @param {String} role - 'user' | 'moderator' | 'admin'
+ * @param {Number} sessionId - checked on every request, so the token ends with its session.
+ * @returns {String} signed token
+ */
+export function createJWT(id, name, email, role, sessionId) {
+    let issued = Math.floor(Date.now() / 1000);
+
+    let header = encodeSegment(JWT_HEADER);
+    let payload = encodeSegment({
+        client_id : id,
+        client_name : name,
+        client_email : email,
+        client_role : role ?? 'user',
+        sid : sessionId,
+        iat : issued,
+        exp : issued + JWT_LIFETIME_SEC
+    });
+
+    return `${header}.${payload}.${signSegments(`${header}.${payload}`)}`;
+}
+
+/**
+ *
+ * @param {String} token
+ * @returns {Object|null} header, payload - JSON strings, signature, signingInput
+ */
+export function parseJWT(token) {
+    try {
+        let segments = String(token).split('.');
+        if(segments.length != 3) { throw 'Token does not have 3 segments.'; }
+
+        return {
+            header : Buffer.from(segments[0], 'base64url').toString('utf-8'),
+            payload : Buffer.from(segments[1], 'base64url').toString('utf-8'),
+            signature : segments[2],
+            signingInput : `${segments[0]}.${segments[1]}`
+        };
+    } catch (e) {
+        debugLog(6, '', e, e.stack);
+        return null;
+    }
+}
+
+/**
+ *
+ * @param {String|Object} token - token string, or the result of parseJWT()
+ * @param {Boolean} [isParsed]
+ * @returns {Boolean} true when the signature matches and the token has not expired.
+ */
+export function isJWTValid(token, isParsed) {
+    try {
+        let parsedToken = isParsed ? token : parseJWT(token);
+        if(!Boolean(parsedToken)) { return false; }
+
+        let header = JSON.parse(parsedToken.header);
+        if(header.alg !== JWT_HEADER.alg) { throw 'Token algorithm is not accepted.'; }
+
+        let expected = Buffer.from( signSegments(parsedToken.signingInput) );
+        let recieved = Buffer.from( String(parsedToken.signature) );
+        if(expected.length != recieved.length || !crypto.timingSafeEqual(expected, recieved)) { throw 'Token signature does not match.'; }
+
+        let payload = JSON.parse(parsedToken.payload);
+        if(!Number.isFinite(payload.exp) || payload.exp <= Math.floor(Date.now() / 1000)) { throw 'Token has expired.'; }
+
+        return true;
+    } catch (e) {
+        debugLog(6, '', e, e.stack);
+        return false;
+    }
+}
\ No newline at end of file
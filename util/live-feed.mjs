@@ -0,0 +1,68 @@
+'use strict';
+import { IncomingMessage, ServerResponse } from 'http';
+import { debugLog } from './logger.mjs';
+
+// * Proxies close idle connections, comment lines keep the stream open without firing client events.
+const KEEP_ALIVE_MS = 25000;
+
+/** @type {Set<ServerResponse>} */
+const subscribers = new Set();
+
+const keepAliveTimer = setInterval( () => {
+    for(const res of subscribers) {
+        res.write(': keep-alive\n\n');
+    }
+}, KEEP_ALIVE_MS);
+keepAliveTimer.unref();
+
+/**
+ * Holds the response open as a Server-Sent Events stream.
+ * @param {IncomingMessage} req
+ * @param {ServerResponse} res
+ */
+export function subscribeLiveFeed(req, res) {
+    res.writeHead(200, {
+        'Content-Type' : 'text/event-stream; charset=utf-8',
+        'Cache-Control' : 'no-cache',
+        'Connection' : 'keep-alive',
+        'X-Accel-Buffering' : 'no' // ? nginx would otherwise buffer the stream
+    });
+    // * Browsers reconnect on their own, retry tells them how long to wait in ms.
+    res.write('retry: 5000\n\n');
+
+    subscribers.add(res);
+    debugLog(6, 'Live feed subscribers: ', subscribers.size);
+
+    req.on('close', () => {
+        subscribers.delete(res);
+        debugLog(6, 'Live feed subscribers: ', subscribers.size);
+    });
+}
+
+/**
+ * Pushes an event to every open page.
+ * @param {String} eventName - name the client listens for. ie: 'comment'
+ * @param {Object} data - JSON serializable content of the event
+ */
+export function publishLiveEvent(eventName, data) {
+    let message = `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    for(const res of subscribers) {
+        try {
+            res.write(message);
+        } catch (e) {
+            debugLog(3, 'Live feed write failed: ', e, ' | ', e.stack);
+            subscribers.delete(res);
+        }
+    }
+}
+
+/**
+ * Ends every open stream so the server is able to close.
+ */
+export function closeLiveFeed() {
+    for(const res of subscribers) {
+        res.end();
+    }
+    subscribers.clear();
+}
\ No newline at end of file
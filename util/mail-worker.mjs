@@ -0,0 +1,101 @@
+'use strict';
+import { debugLog } from './logger.mjs';
+import { sendMail, getSenderAddress } from './emailer.mjs';
+import { createMessageId } from './mime-message.mjs';
+import { createMail, claimDueMails, setMailSent, setMailFailed } from '../db/db-mail.mjs';
+
+const POLL_MS = 15 * 1000;
+const BATCH_SIZE = 10;
+const LEASE_SECONDS = 10 * 60;
+
+// * Retries wait 30s, 1m, 2m, 4m... up to 6 hours between attempts.
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 8;
+
+let pollTimer = null;
+let isRunning = false;
+
+/**
+ * MAIL_MAX_ATTEMPTS : sends tried before a mail is marked dead.
+ * @returns {Number} maxAttempts
+ */
+function getMaxAttempts() {
+    let maxAttempts = Number.parseInt(process.env.MAIL_MAX_ATTEMPTS);
+    if(!Number.isSafeInteger(maxAttempts) || maxAttempts < 1) { return DEFAULT_MAX_ATTEMPTS; }
+    return maxAttempts;
+}
+
+/**
+ *
+ * @param {Number} attempts - sends tried so far.
+ * @returns {Date|null} next attempt, null when the mail has no attempts left.
+ */
+function getNextAttempt(attempts) {
+    if(attempts >= getMaxAttempts()) { return null; }
+
+    let delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1));
+    return new Date(Date.now() + delay);
+}
+
+/**
+ * Sends the mails that are due, failures are scheduled again or marked dead.
+ */
+async function processMailQueue() {
+    // * A slow send must not overlap the next poll.
+    if(isRunning) { return ; }
+    isRunning = true;
+
+    try {
+        let mails = await claimDueMails(BATCH_SIZE, LEASE_SECONDS);
+        if(!Boolean(mails)) { return ; }
+
+        for(const mail of mails) {
+            try {
+                let result = await sendMail(mail.recipient, mail.subject, '', mail.content, mail.options);
+                await setMailSent(mail.id);
+                debugLog(7, `Mail: ${mail.id} has been sent by: ${result?.transport}, id: ${result?.id}`);
+            } catch (e) {
+                let nextAttempt = getNextAttempt(mail.attempts);
+                let status = await setMailFailed(mail.id, String(e?.message ?? e), nextAttempt);
+                debugLog(3, `Mail: ${mail.id} failed attempt: ${mail.attempts}, now: ${status}, next attempt: ${nextAttempt}`);
+            }
+        }
+    } catch (e) {
+        debugLog(3, 'Mail Queue Failed: ', e, ' | ', e.stack);
+    } finally {
+        isRunning = false;
+    }
+}
+
+/**
+ * Writes the mail to the queue, the worker sends it.
+ * @param {String} recipient
+ * @param {String} subject
+ * @param {String} content - html body
+ * @param {Object} [options] - text, replyTo, listUnsubscribe
+ * @returns {Number|undefined} mailId
+ */
+export async function queueMail(recipient, subject, content, options = {}) {
+    // * The Message-ID is chosen once, so a retried mail is still seen as the same mail.
+    let mailId = await createMail(recipient, subject, content, { ...options, messageId : createMessageId(getSenderAddress()) });
+    if(Boolean(mailId) && Boolean(pollTimer)) {
+        // * Send now rather than wait for the next poll.
+        setImmediate(processMailQueue);
+    }
+    return mailId;
+}
+
+export function startMailWorker() {
+    if(Boolean(pollTimer)) { return ; }
+
+    pollTimer = setInterval(processMailQueue, POLL_MS);
+    pollTimer.unref();
+    processMailQueue();
+    debugLog(3, 'Mail worker started.');
+}
+
+export function stopMailWorker() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+'use strict';
+import crypto from 'crypto';
+
+const LINE_LIMIT = 76;
+// * Encoded words are at most 75 characters, "=?utf-8?B?" and "?=" leave 63 for the base64 text.
+const ENCODED_WORD_BYTES = 45;
+
+/**
+ * RFC 2047 encoded words for header text that is not plain ASCII.
+ * @param {String} text
+ * @returns {String} text, or encoded words folded onto their own lines.
+ */
+export function encodeHeaderText(text) {
+    text = String(text ?? '');
+    if(/^[\x20-\x7E]*$/.test(text)) { return text; }
+
+    // * Words are split between characters, never inside one.
+    let words = [];
+    let chunk = '';
+    for(const char of text) {
+        if(Buffer.byteLength(chunk + char, 'utf-8') > ENCODED_WORD_BYTES) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    words.push(chunk);
+
+    return words.map( (word) => `=?utf-8?B?${Buffer.from(word, 'utf-8').toString('base64')}?=` ).join('\r\n ');
+}
+
+/**
+ *
+ * @param {String} address - user@domain
+ * @param {String} [displayName]
+ * @returns {String} "Name" <user@domain>
+ */
+export function formatAddress(address, displayName) {
+    if(!Boolean(displayName)) { return `<${address}>`; }
+
+    if(/^[\x20-\x7E]*$/.test(displayName)) {
+        // * Quoted so commas and other specials in the name do not split the address.
+        return `"${displayName.replace(/(["\\])/g, '\\$1')}" <${address}>`;
+    }
+    return `${encodeHeaderText(displayName)} <${address}>`;
+}
+
+/**
+ *
+ * @param {String} address - sender, its domain ends the id.
+ * @returns {String} <random.time@domain>
+ */
+export function createMessageId(address) {
+    let domain = String(address ?? '').split('@')[1] || 'localhost';
+    return `<${crypto.randomBytes(12).toString('hex')}.${Date.now()}@${domain}>`;
+}
+
+/**
+ * Quoted-printable keeps the body readable while every line stays within 76 characters.
+ * @param {String} text
+ * @returns {String} encoded body with CRLF line ends.
+ */
+function encodeQuotedPrintable(text) {
+    return String(text).replace(/\r?\n/g, '\n').split('\n').map( (line) => {
+        let bytes = Buffer.from(line, 'utf-8');
+        let encodedLines = [];
+        let encoded = '';
+
+        for(let i = 0; i < bytes.length; i++) {
+            let byte = bytes[i];
+            // * Spaces are kept except at the end of a line, where they would be stripped in transit.
+            let isPlain = (byte >= 33 && byte <= 126 && byte != 61) || ((byte == 32 || byte == 9) && i < bytes.length - 1);
+            let part = isPlain ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+
+            // * Soft line break, "=" at the end is the 76th character.
+            if(encoded.length + part.length > LINE_LIMIT - 1) {
+                encodedLines.push(`${encoded}=`);
+                encoded = '';
+            }
+            encoded += part;
+        }
+        encodedLines.push(encoded);
+
+        return encodedLines.join('\r\n');
+    }).join('\r\n');
+}
+
+/**
+ * Plain text version of an html email, links keep their address.
+ * @param {String} html
+ * @returns {String} text
+ */
+export function htmlToText(html) {
+    let body = String(html ?? '');
+    let bodyMatch = /<body[^>]*>([\s\S]*)<\/body>/i.exec(body);
+    if(Boolean(bodyMatch)) { body = bodyMatch[1]; }
+
+    return body
+        .replace(/<(style|script|head|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            let text = label.replace(/<[^>]+>/g, '').trim();
+            return Boolean(text) && text != href ? `${text} ( ${href} )` : href;
+        })
+        .replace(/<br\s*\/?>|<\/br>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|tr|li|table)>/gi, '\n\n')
+        .replace(/<\/(td|th)>/gi, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number.parseInt(code)))
+        .replace(/&amp;/g, '&')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Builds a multipart/alternative message, mail clients show the last part they can display.
+ * @param {Object} message
+ * @param {String} message.from - address
+ * @param {String} [message.fromName]
+ * @param {String} message.to - address
+ * @param {String} message.subject
+ * @param {String} message.html
+ * @param {String} [message.text] - made from the html when not given.
+ * @param {String} [message.replyTo] - address
+ * @param {String} [message.listUnsubscribe] - mailto: or https: address
+ * @param {String} [message.messageId] - kept the same when a mail is sent again.
+ * @returns {Object} raw, messageId
+ */
+export function buildMessage(message) {
+    let messageId = message.messageId || createMessageId(message.from);
+    let boundary = `=_alt_${crypto.randomBytes(12).toString('hex')}`;
+    let text = message.text || htmlToText(message.html);
+
+    let headers = [
+        `From: ${formatAddress(message.from, message.fromName)}`,
+        `To: <${message.to}>`,
+        `Subject: ${encodeHeaderText(message.subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: ${messageId}`,
+    ];
+    if(Boolean(message.replyTo)) {
+        headers.push(`Reply-To: <${message.replyTo}>`);
+    }
+    if(Boolean(message.listUnsubscribe)) {
+        headers.push(`List-Unsubscribe: <${message.listUnsubscribe}>`);
+        // * One click unsubscribe is only for https addresses, RFC 8058.
+        if(message.listUnsubscribe.startsWith('https:')) {
+            headers.push('List-Unsubscribe-Post: List-Unsubscribe=One-Click');
+        }
+    }
+    headers.push(
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    );
+
+    let raw = [
+        ...headers,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        encodeQuotedPrintable(text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        encodeQuotedPrintable(message.html),
+        `--${boundary}--`,
+        '',
+    ].join('\r\n');
+
+    return { raw : raw, messageId : messageId };
+}
\ No newline at end of file
@@ -0,0 +1,51 @@
+'use strict';
+import { debugLog } from './logger.mjs';
+import { countApprovedComments } from '../db/db-comments.mjs';
+
+// * COMMENT_MODERATION_MODE : 'off' | 'new-accounts' | 'all'
+const MODERATION_MODES = [ 'off', 'new-accounts', 'all' ];
+// * Accounts with fewer approved comments than this are held when the mode is 'new-accounts'.
+const DEFAULT_TRUSTED_COMMENT_COUNT = 3;
+// * Flags waiting for review before a comment is hidden, 0 turns hiding off.
+const DEFAULT_FLAG_HIDE_THRESHOLD = 5;
+
+/**
+ *
+ * @returns {String} 'off' | 'new-accounts' | 'all'
+ */
+export function getModerationMode() {
+    let mode = process.env.COMMENT_MODERATION_MODE;
+    return MODERATION_MODES.includes(mode) ? mode : 'off';
+}
+
+/**
+ * COMMENT_FLAG_HIDE_THRESHOLD
+ * @returns {Number} flags that hide a comment until reviewed, 0 when comments are never hidden.
+ */
+export function getFlagHideThreshold() {
+    let threshold = Number.parseInt(process.env.COMMENT_FLAG_HIDE_THRESHOLD);
+    return Number.isSafeInteger(threshold) && threshold >= 0 ? threshold : DEFAULT_FLAG_HIDE_THRESHOLD;
+}
+
+/**
+ * Status a new comment from the user starts with.
+ * @param {Number} userId
+ * @returns {String} 'approved' | 'pending'
+ */
+export async function getNewCommentStatus(userId) {
+    let mode = getModerationMode();
+
+    if(mode == 'all') { return 'pending'; }
+
+    if(mode == 'new-accounts') {
+        let trustedCount = Number.parseInt(process.env.COMMENT_MODERATION_TRUSTED_COUNT);
+        if(!Number.isSafeInteger(trustedCount) || trustedCount < 0) { trustedCount = DEFAULT_TRUSTED_COMMENT_COUNT; }
+
+        let approvedCount = await countApprovedComments(userId);
+        debugLog(6, `User: ${userId} has approved comments: ${approvedCount} .`);
+        // * Hold the comment when the count could not be read.
+        if(!Number.isSafeInteger(approvedCount) || approvedCount < trustedCount) { return 'pending'; }
+    }
+
+    return 'approved';
+}
\ No newline at end of file
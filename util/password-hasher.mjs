@@ -0,0 +1,82 @@
+'use strict';
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// * Stored as: scrypt$N$r$p$salt$hash - salt and hash are base64.
+const HASH_PREFIX = 'scrypt';
+const SCRYPT_PARAMS = { N : 16384, r : 8, p : 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+// * Hashed when the login does not exist, so a missing name takes as long as a wrong password.
+const DUMMY_HASH = `${HASH_PREFIX}$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$${Buffer.alloc(SALT_BYTES).toString('base64')}$${Buffer.alloc(KEY_BYTES).toString('base64')}`;
+
+/**
+ * The pepper is kept out of the login table, a leaked table alone can not be brute forced.
+ * @param {String} pwd
+ * @returns {Buffer} HMAC of the password keyed with the pepper
+ */
+function pepperPassword(pwd) {
+    let pepper = process.env.PEPPER;
+    if(!Boolean(pepper)) { throw 'Pepper is not set.'; }
+
+    return crypto.createHmac('sha256', pepper).update(String(pwd), 'utf-8').digest();
+}
+
+/**
+ *
+ * @param {Buffer|String} pwd
+ * @param {Buffer} salt
+ * @param {Object} params - N, r, p
+ * @returns {Promise<Buffer>} derived key
+ */
+function deriveKey(pwd, salt, params) {
+    // * maxmem must allow for N, the default only fits the smallest costs.
+    return scrypt(pwd, salt, KEY_BYTES, { N : params.N, r : params.r, p : params.p, maxmem : 256 * params.N * params.r });
+}
+
+/**
+ *
+ * @param {String} pwd
+ * @returns {Promise<String>} scrypt$N$r$p$salt$hash
+ */
+export async function hashPassword(pwd) {
+    let salt = crypto.randomBytes(SALT_BYTES);
+    let key = await deriveKey(pepperPassword(pwd), salt, SCRYPT_PARAMS);
+
+    return [ HASH_PREFIX, SCRYPT_PARAMS.N, SCRYPT_PARAMS.r, SCRYPT_PARAMS.p, salt.toString('base64'), key.toString('base64') ].join('$');
+}
+
+/**
+ * Compares in constant time, plaintext rows from before hashing are still accepted so they can be rehashed.
+ * @param {String} pwd - password as recieved from the client.
+ * @param {String} [storedPwd] - pwd column of the login, not given when the login does not exist.
+ * @returns {Promise<Object>} isValid, needsRehash
+ */
+export async function verifyPassword(pwd, storedPwd) {
+    let fields = String(storedPwd ?? DUMMY_HASH).split('$');
+
+    if(fields[0] !== HASH_PREFIX || fields.length != 6) {
+        // * Plaintext row, digests give both sides the same length for timingSafeEqual.
+        let recieved = crypto.createHash('sha256').update(String(pwd), 'utf-8').digest();
+        let stored = crypto.createHash('sha256').update(String(storedPwd), 'utf-8').digest();
+        // * Hash anyway so a plaintext row takes as long to check as a hashed one.
+        await deriveKey(pepperPassword(pwd), Buffer.alloc(SALT_BYTES), SCRYPT_PARAMS);
+
+        return { isValid : crypto.timingSafeEqual(recieved, stored), needsRehash : true };
+    }
+
+    let params = { N : Number.parseInt(fields[1]), r : Number.parseInt(fields[2]), p : Number.parseInt(fields[3]) };
+    let salt = Buffer.from(fields[4], 'base64');
+    let storedKey = Buffer.from(fields[5], 'base64');
+
+    let key = await deriveKey(pepperPassword(pwd), salt, params);
+    let isValid = key.length == storedKey.length && crypto.timingSafeEqual(key, storedKey) && Boolean(storedPwd);
+
+    // * Rows hashed with older costs are upgraded on login.
+    let needsRehash = params.N != SCRYPT_PARAMS.N || params.r != SCRYPT_PARAMS.r || params.p != SCRYPT_PARAMS.p;
+
+    return { isValid : isValid, needsRehash : needsRehash };
+}
\ No newline at end of file
@@ -0,0 +1,280 @@
+'use strict';
+import { IncomingMessage, ServerResponse } from 'http';
+import net from 'net';
+import { debugLog } from './logger.mjs';
+import { createBan, getActiveBans, deleteBan, deleteExpiredBans } from '../db/db-ban.mjs';
+
+/*
+ * * Every ip has a global bucket, and a bucket for each route listed below, keyed 'METHOD path'.
+ * *     Only the posts that change state are listed, the GET of a form page takes from the global bucket only.
+ * * A request takes one token, tokens refill over time up to the capacity.
+ */
+const GLOBAL_BUCKET = { capacity : 120, refillPerSec : 2 };
+const ROUTE_BUCKETS = new Map( [
+    [ 'POST /login', { capacity : 5, refillPerSec : 1 / 60 } ],
+    [ 'POST /signup', { capacity : 3, refillPerSec : 1 / 300 } ],
+    [ 'POST /confirm+email', { capacity : 5, refillPerSec : 1 / 60 } ],
+    [ 'POST /resend+code', { capacity : 2, refillPerSec : 1 / 300 } ],
+    [ 'POST /forgot+password', { capacity : 3, refillPerSec : 1 / 300 } ],
+    [ 'POST /reset+password', { capacity : 5, refillPerSec : 1 / 60 } ],
+    [ 'POST /add+comment', { capacity : 5, refillPerSec : 1 / 20 } ],
+    [ 'POST /edit+comment', { capacity : 10, refillPerSec : 1 / 10 } ],
+    [ 'POST /delete+comment', { capacity : 10, refillPerSec : 1 / 10 } ],
+    [ 'POST /vote+comment', { capacity : 30, refillPerSec : 1 } ],
+    [ 'POST /flag+comment', { capacity : 5, refillPerSec : 1 / 60 } ],
+    // ? Each GET holds a connection open, so they are limited too.
+    [ 'GET /comments/live', { capacity : 10, refillPerSec : 1 / 10 } ],
+] );
+
+// * Strikes are limited requests and bad requests, too many within the window bans the ip.
+const STRIKE_WINDOW_MS = 10 * 60 * 1000;
+const DEFAULT_BAN_STRIKES = 10;
+const DEFAULT_BAN_MINUTES = 60;
+
+const CLEANUP_MS = 60 * 1000;
+const BAN_REFRESH_MS = 5 * 60 * 1000;
+
+/** @type {Map<String, Object<tokens, updated>>} key: 'ip *' | 'ip METHOD path' */
+const buckets = new Map();
+/** @type {Map<String, Object<count, first>>} */
+const strikes = new Map();
+/** @type {Map<String, Date|null>} ip to ban expiry, null until lifted. */
+const bans = new Map();
+
+const cleanupTimer = setInterval( () => {
+    let now = Date.now();
+    for(const [key, bucket] of buckets) {
+        let rule = ROUTE_BUCKETS.get( key.slice(key.indexOf(' ') + 1) ) ?? GLOBAL_BUCKET;
+        // * A bucket that would be full again holds nothing worth keeping.
+        if(bucket.tokens + (now - bucket.updated) / 1000 * rule.refillPerSec >= rule.capacity) {
+            buckets.delete(key);
+        }
+    }
+    for(const [ip, strike] of strikes) {
+        if(now - strike.first > STRIKE_WINDOW_MS) { strikes.delete(ip); }
+    }
+    for(const [ip, expires] of bans) {
+        if(Boolean(expires) && expires.getTime() <= now) { bans.delete(ip); }
+    }
+}, CLEANUP_MS);
+cleanupTimer.unref();
+
+// * Other server instances share the ban table, read it again now and then.
+const banRefreshTimer = setInterval( () => {
+    loadBans();
+}, BAN_REFRESH_MS);
+banRefreshTimer.unref();
+
+/**
+ * Strips the IPv4-mapped IPv6 prefix so both forms of an address match.
+ * @param {String} ip
+ * @returns {String} ip
+ */
+function normalizeIp(ip) {
+    let trimmed = String(ip ?? '').trim();
+    return trimmed.startsWith('::ffff:') && net.isIPv4(trimmed.slice(7)) ? trimmed.slice(7) : trimmed;
+}
+
+/**
+ * TRUSTED_PROXIES : comma separated ips allowed to set X-Real-IP and X-Forwarded-For. ie: "127.0.0.1,10.0.0.2"
+ * @returns {Array<String>} ips
+ */
+function getTrustedProxies() {
+    return (process.env.TRUSTED_PROXIES ?? '').split(',').map(normalizeIp).filter( (ip) => Boolean(ip) );
+}
+
+/**
+ *
+ * @param {IncomingMessage} req
+ * @returns {Boolean} true when the request was forwarded by one of TRUSTED_PROXIES.
+ */
+export function isFromTrustedProxy(req) {
+    return getTrustedProxies().includes( normalizeIp(req?.socket?.remoteAddress) );
+}
+
+/**
+ * The connecting address, or the address a trusted proxy forwarded for.
+ * @param {IncomingMessage} req
+ * @returns {String} ip - empty when the address is unknown.
+ */
+export function getClientIp(req) {
+    let remoteIp = normalizeIp(req?.socket?.remoteAddress);
+    let trustedProxies = getTrustedProxies();
+    if(!trustedProxies.includes(remoteIp)) { return remoteIp; }
+
+    let realIp = normalizeIp(req.headers['x-real-ip']);
+    if(net.isIP(realIp)) { return realIp; }
+
+    // * Each proxy appends the address it recieved from, the first untrusted one from the right is the client.
+    let forwardedIps = String(req.headers['x-forwarded-for'] ?? '').split(',').map(normalizeIp);
+    for(let i = forwardedIps.length - 1; i >= 0; i--) {
+        if(!net.isIP(forwardedIps[i])) { break; }
+        if(!trustedProxies.includes(forwardedIps[i])) { return forwardedIps[i]; }
+    }
+
+    return remoteIp;
+}
+
+/**
+ * Takes a token from the bucket.
+ * @param {String} key - 'ip *' | 'ip METHOD path'
+ * @param {Object} rule - capacity, refillPerSec
+ * @returns {Number} 0 when a token was taken, otherwise seconds until one is available.
+ */
+function takeToken(key, rule) {
+    let now = Date.now();
+    let bucket = buckets.get(key) ?? { tokens : rule.capacity, updated : now };
+
+    bucket.tokens = Math.min(rule.capacity, bucket.tokens + (now - bucket.updated) / 1000 * rule.refillPerSec);
+    bucket.updated = now;
+    buckets.set(key, bucket);
+
+    if(bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+    }
+    return Math.ceil( (1 - bucket.tokens) / rule.refillPerSec );
+}
+
+/**
+ *
+ * @param {String} ip
+ * @returns {Boolean|Date|null} false when not banned, otherwise the ban expiry, null until lifted.
+ */
+function getBanExpiry(ip) {
+    if(!bans.has(ip)) { return false; }
+
+    let expires = bans.get(ip);
+    if(Boolean(expires) && expires.getTime() <= Date.now()) {
+        bans.delete(ip);
+        return false;
+    }
+    return expires;
+}
+
+/**
+ * Counts a strike against the ip, the ip is banned once it has too many.
+ * @param {String} ip
+ * @param {String} reason
+ */
+export async function recordStrike(ip, reason) {
+    if(!Boolean(ip) || getBanExpiry(ip) !== false) { return ; }
+
+    let now = Date.now();
+    let strike = strikes.get(ip);
+    if(!Boolean(strike) || now - strike.first > STRIKE_WINDOW_MS) {
+        strike = { count : 0, first : now };
+        strikes.set(ip, strike);
+    }
+    strike.count++;
+    debugLog(6, `Strike: ${strike.count} for ip: ${ip} | ${reason}`);
+
+    let banStrikes = Number.parseInt(process.env.RATE_LIMIT_BAN_STRIKES);
+    if(!Number.isSafeInteger(banStrikes) || banStrikes < 1) { banStrikes = DEFAULT_BAN_STRIKES; }
+    if(strike.count < banStrikes) { return ; }
+
+    let banMinutes = Number.parseInt(process.env.RATE_LIMIT_BAN_MINUTES);
+    if(!Number.isSafeInteger(banMinutes) || banMinutes < 1) { banMinutes = DEFAULT_BAN_MINUTES; }
+
+    strikes.delete(ip);
+    await banIp(ip, `Too many strikes, last: ${reason}`, new Date(now + banMinutes * 60 * 1000));
+}
+
+/**
+ * Bans the ip, the ban is kept in the database so it survives restarts.
+ * @param {String} ip
+ * @param {String} reason
+ * @param {Date|null} expires - null bans until lifted.
+ * @returns {Object|false} ip, reason, created, expires
+ */
+export async function banIp(ip, reason, expires) {
+    let normalIp = normalizeIp(ip);
+    if(!net.isIP(normalIp)) { return false; }
+
+    // * Ban right away, the database write only makes it last.
+    bans.set(normalIp, expires);
+    debugLog(3, `Banning ip: ${normalIp} until: ${expires} | ${reason}`);
+
+    return await createBan(normalIp, reason, expires);
+}
+
+/**
+ *
+ * @param {String} ip
+ * @returns {Boolean} true when a ban was lifted.
+ */
+export async function liftBan(ip) {
+    let normalIp = normalizeIp(ip);
+    bans.delete(normalIp);
+    strikes.delete(normalIp);
+
+    return await deleteBan(normalIp);
+}
+
+/**
+ * Replaces the cached bans with the active bans from the database.
+ */
+export async function loadBans() {
+    await deleteExpiredBans();
+    let activeBans = await getActiveBans();
+    if(!Boolean(activeBans)) { return ; }
+
+    bans.clear();
+    for(const ban of activeBans) {
+        bans.set(ban.ip, Boolean(ban.expires) ? new Date(ban.expires) : null);
+    }
+    debugLog(3, 'Active ip bans loaded: ', bans.size);
+}
+
+/**
+ *
+ * @param {ServerResponse} res
+ * @param {Number} status - 429 | 403
+ * @param {Number} [retryAfter] - seconds
+ */
+function sendLimited(res, status, retryAfter) {
+    let message = Buffer.from(status == 429 ? 'Too Many Requests' : 'Forbidden', 'utf-8');
+
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'text/plain');
+    res.setHeader('Content-Length', message.byteLength);
+    if(Boolean(retryAfter)) {
+        res.setHeader('Retry-After', String(retryAfter));
+    }
+    res.end(message);
+}
+
+/**
+ * Declines requests from banned ips and requests over their limit.
+ * @param {IncomingMessage} req
+ * @param {ServerResponse} res
+ * @returns {Boolean} true when the request can be routed.
+ */
+export function guardRequest(req, res) {
+    let ip = getClientIp(req);
+    if(!Boolean(ip)) { return true; }
+
+    let expires = getBanExpiry(ip);
+    if(expires !== false) {
+        debugLog(6, 'Banned ip declined: ', ip);
+        // ? 403 : Forbidden - a ban until lifted has no time to retry after.
+        if(!Boolean(expires)) { sendLimited(res, 403); return false; }
+        // ? 429 : Too Many Requests
+        sendLimited(res, 429, Math.ceil( (expires.getTime() - Date.now()) / 1000 ));
+        return false;
+    }
+
+    let route = `${req.method} ${String(req.url).split('?')[0]}`;
+    let retryAfter = takeToken(`${ip} *`, GLOBAL_BUCKET);
+    let routeRule = ROUTE_BUCKETS.get(route);
+    if(retryAfter == 0 && Boolean(routeRule)) {
+        retryAfter = takeToken(`${ip} ${route}`, routeRule);
+    }
+    if(retryAfter == 0) { return true; }
+
+    debugLog(6, `Rate limited ip: ${ip} | route: ${route} | retry after: ${retryAfter}s`);
+    recordStrike(ip, `Rate limited on ${route}`);
+    // ? 429 : Too Many Requests
+    sendLimited(res, 429, retryAfter);
+    return false;
+}
\ No newline at end of file
@@ -0,0 +1,27 @@
+'use strict';
+
+// * Lowest rights first, every role holds the rights of the roles before it.
+export const ROLES = [ 'user', 'moderator', 'admin' ];
+
+/**
+ *
+ * @param {String} role
+ * @returns {Boolean} true|false
+ */
+export function isRole(role) {
+    return ROLES.includes(role);
+}
+
+/**
+ *
+ * @param {Object} payload - JWT payload with client_id, client_role
+ * @param {String} requiredRole - 'user' | 'moderator' | 'admin'
+ * @returns {Boolean} true when the signed in user holds the role or one above it.
+ */
+export function hasRole(payload, requiredRole) {
+    if(!Boolean(payload?.client_id) || !isRole(requiredRole)) { return false; }
+
+    // * Tokens issued before roles existed belong to regular users.
+    let role = isRole(payload.client_role) ? payload.client_role : 'user';
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
\ No newline at end of file
@@ -1,188 +1,298 @@
 'use strict';
 import { ClientRequest, IncomingMessage, request, ServerResponse } from 'http';
-import fs from 'fs/promises';
 import { debugLog } from './logger.mjs';
-import { isLoginCreationValid, createLogin, getConfirmedLogin, updateLoginConfirmed } from '../db/db-login.mjs';
-import { createECode, getEcodeWLoginNonce, deleteECode } from '../db/db-ecode.mjs';
+import { isLoginCreationValid, createLogin, deleteUnconfirmedLogin, getConfirmedLogin, updateLoginConfirmed, updateLoginRole, getConfirmedLoginWEmail, resetLoginPwd } from '../db/db-login.mjs';
+import { createECode, getEcodeWLoginNonce, deleteECode, getResetECodes, deleteResetECodes, useResetECode, getResendECode, resendECode } from '../db/db-ecode.mjs';
 import { createNonce, renewNonce, deleteNonce } from '../db/db-nonce.mjs';
-import { createComment } from '../db/db-comments.mjs';
-import { createJWT, isJWTValid, parseJWT } from '../.private/secure/jwtokenizer.mjs';
+import { createComment, updateComment, deleteComment, getCommentRevisions, getThreadPagePublic, getReplyPagePublic, getPendingComments, setCommentStatus, holdComment } from '../db/db-comments.mjs';
+import { castVote } from '../db/db-votes.mjs';
+import { createFlag, getFlaggedComments, dismissFlags, FLAG_REASONS } from '../db/db-flags.mjs';
+import { getStuckMails, retryMail } from '../db/db-mail.mjs';
 import { sterilizeBasicString, sterilizeComment, sterilizeEmail, sterilizeECode, sterlizeUrlCode } from '../.private/secure/sterilizer.mjs';
 import { randomNumericString, randomCharString, hashNonce, checkHash } from '../.private/secure/code-generator.mjs';
-import { writeAuthorizationToken, sendMail } from './emailer.mjs';
-import { setValuesInHTML, getURLArg, getGoogleAuthCode, getClientCookieMap } from './common-parsers.mjs';
-import { exportCommentPage } from '../.private//controller/comment-controller.mjs';
+import { writeAuthorizationToken } from './emailer.mjs';
+import { queueMail } from './mail-worker.mjs';
+import { getURLArg, getGoogleAuthCode } from './common-parsers.mjs';
+import { parseCookies, readSignedCookie, serializeCookie, clearCookie, appendSetCookie } from './cookies.mjs';
+import { authenticate, startSession, endSession, endAllSessions, getClearedSessionCookies } from './sessions.mjs';
+import { renderTemplate } from './template-engine.mjs';
+import { createRouter } from './http-router.mjs';
+import { parseBody } from './body-parser.mjs';
+import { serveStatic } from './static-server.mjs';
+import { negotiateEncoding, isCompressible, compressContent, getCompressMinBytes } from './compression.mjs';
+import { getCsrfToken, checkOrigin, verifyCsrfToken } from './csrf.mjs';
 import { sterilizeNonce } from '../.private/secure/sterilizer.mjs';
-import { blackList } from './server.mjs';
+import { getClientIp, recordStrike, banIp, liftBan } from './rate-limiter.mjs';
+import { buildThreadTree, toThreadNode } from './thread-tree.mjs';
+import { subscribeLiveFeed, publishLiveEvent } from './live-feed.mjs';
+import { exportCommentPage, exportModerationPage } from './thread-renderer.mjs';
+import { getNewCommentStatus, getFlagHideThreshold } from './moderation.mjs';
+import { hasRole, isRole } from './roles.mjs';
 
 const fileLocationMap = new Map( [
     [ '/', [ './public/view/index.html', "text/html" ] ],
     [ '/login', [ './public/view/login.html', "text/html" ] ],
     [ '/signup', [ './public/view/signup.html', "text/html"] ],
+    [ '/forgot+password', [ './public/view/forgot-password.html', "text/html"] ],
+    [ '/reset+password', [ './public/view/reset-password.html', "text/html"] ],
     [ '/confirm+email', [ './public/view/email-confirmation.html', "text/html"] ],
     [ '/comments', [ './public/view/commenting.html', "text/html" ] ],
+    [ '/moderation', [ './public/view/moderation.html', "text/html" ] ],
     [ '/404', [ './public/view/404.html', "text/html" ] ],
     [ '/401', [ './public/view/oops.html', "text/html" ] ],
-    [ '/css/style.css', [ './public/resources/css/style.css', "text/css" ] ],
-    [ '/js/javascript.js', [ './public/resources/js/javascript.js', "application/javascript" ] ],
-    [ '/favicon.ico', [ './public/resources/images/comment-stack-fav.svg', "image/svg+xml" ] ],
 ] );
 
+// * Files under public/resources are served at their path, ie: /css/style.css, /images/comment-stack-fav.svg
+const RESOURCES_ROOT = './public/resources';
+const serveResources = serveStatic(RESOURCES_ROOT);
+
+const THREAD_PAGE_LIMIT = 20;
+const REPLY_PAGE_LIMIT = 3; // * Replies shown under each comment before "load more replies".
+const MAX_PAGE_LIMIT = 100;
+const RESET_LINK_MINUTES = 30;
+const DEFAULT_CONFIRM_RESEND_LIMIT = 3;
+// * Signup cookies outlive the nonce, so an expired code can still be resent.
+const SIGNUP_COOKIE_SEC = 5 * 24 * 60 * 60;
+// * Forms carry a few short fields, comments are at most 128 bytes once sterilized.
+const FORM_BODY_LIMIT = 2 * 1024;
+const JSON_BODY_LIMIT = 4 * 1024;
+
 /**
- * 
+ * Paths without a route are looked for in public/resources, otherwise GET is sent the 404 page and other methods are bad requests.
  * @param {IncomingMessage} req 
  * @param {ServerResponse} res 
  */
-async function checkGetRoute(req, res) {
-    try {
-
-        debugLog(7, req?.socket?.remoteAddress);
+async function declineUnknownRoute(req, res) {
+    await serveResources(req, res, () => {
+        // TODO write unrecognized routes to log.
+        debugLog(3, `${req.method} Attempted: `, req.url);
+        return declineFailedRequest(req, res);
+    });
+}
 
-        if(req.url === '/') {
-            debugLog(3, 'Entering get.request "/"');
-            debugLog(7, 'Checking for JWT.');
-            let cookieMap = getClientCookieMap(req.headers.cookie, [ 'Access-Token' ]);
-            if(Boolean(cookieMap)) {
-                if( isJWTValid( cookieMap.get('Access-Token'), false ) ) {
-                    await processThreadPage(res, '/comments');
-                    return ;
-                }
-            }
-            await processThreadPage(res, '/');
-            return ;
-        }
+/**
+ * 
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ * @param {*} e 
+ */
+function declineFailedRoute(req, res, e) {
+    debugLog(3, `Check ${req.method} Route Failed: `, e, ' | ', e?.stack);
+    if(res.headersSent) { return ; }
+    return declineFailedRequest(req, res);
+}
 
-        if(req.url === '/login') {
-            await getStaticPage(200, '/login', res);
-            return ;
-        }
+/**
+ * 
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ */
+function declineFailedRequest(req, res) {
+    if(req.method == 'GET' || req.method == 'HEAD') {
+        // ? 404 : Page Not Found
+        return declineRoute(404, res, 'Page Does Not Exist');
+    }
+    // ? 400 : Bad Request
+    return declineRoute(400, res, "Bad Request", req);
+}
 
-        if(req.url.includes('/confirm+email')) {
-            debugLog(3, 'Entering get.request "/confirm+email"');
-            let isValid = await isEmailAttemptValid(req.headers.cookie);
-            if(isValid) {
-                debugLog(7, 'Cookie is good.');
-                await getStaticPage(200, '/confirm+email', res);
-            } else {
-                // ? 403 : Forbidden
-                declineRoute(403, res, 'Please Follow sign-up procedure.');
-            }
-            return ;
-        }
+/**
+ * 
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ * @param {Function} next 
+ */
+async function logRoute(req, res, next) {
+    debugLog(3, `Entering ${req.method.toLowerCase()}.request "${req.route}"`);
+    await next();
+}
 
-        if(req.url === '/signup') {
-            debugLog(3, 'Entering get.request "/signup"');
-            // * If user attempts to signup with attempt-email waiting, user redirected to confirm+email link
-            let isCurrentlyValid = await isEmailAttemptValid(req.headers.cookie);
-            if(isCurrentlyValid) {
-                // ? 302 : Redirect Found Resource
-                await forwardContent(302, res, null, 'text/plain',    
-                    {
-                        "Location" : "/confirm+email" // ? Must set location for redirect to work properly.
-                    } );
-                    
-            } else {
-                await getStaticPage(200, '/signup', res);
-            }
-            return ;
-        }
+/**
+ * Declines the request unless the signed in user holds the role, the payload is kept as req.accessPayload.
+ * @param {String} role - 'user' | 'moderator' | 'admin'
+ * @returns {Function} middleware
+ */
+function requireAuth(role) {
+    return async (req, res, next) => {
+        let payload = await requireRole(req, res, role);
+        if(!Boolean(payload)) { return ; }
 
-        // ! Dangerous path. Need to sterilize url.
-        /* if(req.url === '/gauth' || req.url.includes('/gauth')) {
-            debugLog(6, 'Get gauth recieved: ', req.url);
-            await getStaticPage(302, '/', res);
+        await next();
+    };
+}
 
-            const gAuthCOde = getGoogleAuthCode(req.url);
-            await writeAuthorizationToken(gAuthCOde);
-            return ;
-        } */
+/**
+ * 
+ * @param {IncomingMessage} req 
+ * @returns {Number} id - from the :id segment of the path.
+ */
+function getIdParam(req) {
+    if(!/^\d+$/.test(req.params.id)) { throw 'Id is not valid.'; }
+    return Number.parseInt(req.params.id);
+}
 
-        if(req.url === '/css/style.css') {
-            await getStaticPage(200, '/css/style.css', res);
-            return ;
-        }
+/**
+ * 
+ * @param {String} route - key of fileLocationMap
+ * @returns {Function} handler
+ */
+function sendTemplatePage(route) {
+    return async (req, res) => {
+        await getTemplatePage(200, route, res);
+    };
+}
 
-        if(req.url === '/js/javascript.js') {
-            await getStaticPage(200, '/js/javascript.js', res);
-            return ;
-        } 
+const router = createRouter({ onNotFound : declineUnknownRoute, onError : declineFailedRoute });
+// * Posts from another site are declined before any handler runs, the CSRF token is checked once the body is read.
+router.use(logRoute, checkOrigin);
 
-        if(req.url === '/favicon.ico') {
-            await getStaticPage(200, '/favicon.ico', res);
-            return ;
+// * Forms are posted as JSON by the page scripts, or urlencoded when javascript is off.
+const formBody = [ parseBody({ limit : FORM_BODY_LIMIT }), verifyCsrfToken ];
+const jsonBody = [ parseBody({ limit : JSON_BODY_LIMIT, types : [ 'json' ] }), verifyCsrfToken ];
 
+// * Pages
 
-        } else {
-            // TODO write unrecognized GET to log.
-            debugLog(3, 'GET Attempted: ', req.url);
-            throw 'Un-recognized GET.'
-        }
-        
-    } catch (e) {
-        // * Throw exception so default 404 is sent.
-        debugLog(3, 'Check GET Route Failed: ', e, ' | ', e.stack);
-        // ? 404 : Page Not Found
-        return declineRoute(404, res, 'Page Does Not Exist');
+router.get('/', async (req, res) => {
+    debugLog(7, 'Checking for JWT.');
+    let payload = await authenticate(req, res);
+    if(Boolean(payload)) {
+        return await processThreadPage(req, res, '/comments', payload.client_id);
     }
-}
+    await processThreadPage(req, res, '/');
+});
+
+router.get('/login', sendTemplatePage('/login'));
+router.post('/login', ...formBody, processLoginRoute);
+router.post('/logout', ...formBody, processLogoutRoute);
+router.post('/logout+all', requireAuth('user'), ...formBody, processLogoutAllRoute);
+
+router.get('/signup', async (req, res) => {
+    // * If user attempts to signup with attempt-email waiting, user redirected to confirm+email link
+    let isCurrentlyValid = await isEmailAttemptValid(req);
+    if(isCurrentlyValid) {
+        // ? 302 : Redirect Found Resource
+        return await forwardContent(302, res, null, 'text/plain',    
+            {
+                "Location" : "/confirm+email" // ? Must set location for redirect to work properly.
+            } );
+    }
+    await getTemplatePage(200, '/signup', res);
+});
+router.post('/signup', ...formBody, processSignupRoute);
+
+router.get('/confirm+email', async (req, res) => {
+    let isValid = await isEmailAttemptValid(req);
+    if(isValid) {
+        debugLog(7, 'Cookie is good.');
+        return await getTemplatePage(200, '/confirm+email', res);
+    }
+    // ? 403 : Forbidden
+    declineRoute(403, res, 'Please Follow sign-up procedure.');
+});
+router.post('/confirm+email', ...formBody, processConfirmEmailRoute);
+router.post('/resend+code', ...jsonBody, processResendCodeRoute);
+
+router.get('/forgot+password', sendTemplatePage('/forgot+password'));
+router.post('/forgot+password', ...formBody, processForgotPasswordRoute);
+
+// * The code and nonce of the emailed link are posted back with the new password.
+router.get('/reset+password', async (req, res) => {
+    await getTemplatePage(200, '/reset+password', res, getResetLinkArgs(req.url));
+});
+router.post('/reset+password', ...formBody, processResetPasswordRoute);
+
+router.get('/moderation', requireAuth('moderator'), async (req, res) => {
+    await processModerationPage(req, res);
+});
+
+// ! Dangerous path. Need to sterilize url.
+/* router.get('/gauth', async (req, res) => {
+    debugLog(6, 'Get gauth recieved: ', req.url);
+    forwardContent(302, res, null, 'text/plain', { "Location" : '/' });
+
+    const gAuthCOde = getGoogleAuthCode(req.url);
+    await writeAuthorizationToken(gAuthCOde);
+}); */
+
+// * Browsers ask for /favicon.ico when a page does not link one.
+router.get('/favicon.ico', serveStatic(RESOURCES_ROOT, { path : '/images/comment-stack-fav.svg' }));
+
+// * JSON api and live feed
+
+router.get('/api/threads', sendJsonThreads);
+router.get('/api/threads/:id/replies', async (req, res) => {
+    await sendJsonReplies(req, res, getIdParam(req));
+});
+router.get('/api/comments/:id/revisions', async (req, res) => {
+    await sendJsonRevisions(res, getIdParam(req));
+});
+
+router.get('/comments/live', (req, res) => {
+    subscribeLiveFeed(req, res);
+});
+
+// * Comments
+
+router.post('/add+comment', requireAuth('user'), ...formBody, async (req, res) => {
+    await processCommentPost(req, res, req.accessPayload.client_id);
+});
+router.post('/edit+comment', requireAuth('user'), ...formBody, async (req, res) => {
+    await processCommentEdit(req, res, req.accessPayload.client_id);
+});
+router.post('/delete+comment', requireAuth('user'), ...formBody, async (req, res) => {
+    await processCommentDelete(req, res, req.accessPayload.client_id);
+});
+router.post('/vote+comment', requireAuth('user'), ...jsonBody, async (req, res) => {
+    await processCommentVote(req, res, req.accessPayload.client_id);
+});
+router.post('/flag+comment', requireAuth('user'), ...jsonBody, async (req, res) => {
+    await processCommentFlag(req, res, req.accessPayload.client_id);
+});
+
+// * Moderation and administration
+
+router.post('/dismiss+flags', requireAuth('moderator'), ...jsonBody, processFlagDismissal);
+router.post('/moderate+comment', requireAuth('moderator'), ...jsonBody, processCommentModeration);
+
+router.post('/admin/set+role', requireAuth('admin'), ...jsonBody, async (req, res) => {
+    await processRoleUpdate(req, res, req.accessPayload.client_id);
+});
+router.post('/admin/ban+ip', requireAuth('admin'), ...jsonBody, processIpBan);
+router.post('/admin/unban+ip', requireAuth('admin'), ...jsonBody, processIpUnban);
+router.get('/admin/mail+queue', requireAuth('admin'), async (req, res) => {
+    await sendJsonStuckMails(res);
+});
+router.post('/admin/retry+mail', requireAuth('admin'), ...jsonBody, processMailRetry);
 
 /**
- * 
+ * Routes a request of any method.
  * @param {IncomingMessage} req 
  * @param {ServerResponse} res 
  */
-async function checkPostRoute(req, res) {
-    try {
-
-        if(req.url === '/login') {
-            debugLog(3, 'Entering post.request "/login"');
-            await processLoginRoute(req, res);
-            return ;
-        }
-    
-        if(req.url === '/signup') {
-            debugLog(3, 'Entering post.request "/signup"');
-            await processSignupRoute(req, res);
-            return ;
-        }
-    
-        if(req.url.includes('/confirm+email')) {
-            debugLog(3, 'Entering post.request "/confirm+email"');
-            await processConfirmEmailRoute(req, res);
-            return ;
-        }
-
-        if(req.url == '/add+comment') {
-            debugLog(3, 'Entering post.request "/add+comment" | length = ', req.socket.bytesRead);
-            // * Decline request if comment is too long
-            let cookieMap = getClientCookieMap(req.headers.cookie, [ 'Access-Token' ]);
-            if(Boolean(cookieMap)) {
-                let jwtToken = parseJWT( cookieMap.get('Access-Token') );
-                if( isJWTValid( jwtToken, true ) ) {
-                    let payload = JSON.parse( jwtToken.payload );
-                    await processCommentPost(req, res, payload.client_id );
-                    return ;
-                }
-            }
-            // ? 401 : Un-Authorized Access
-            // TODO revoke credentials.
-            return declineRoute(401, res, 'Un-Authorized');
-
-        } else {
-            // TODO write unrecognized post to log.
-            debugLog(3, 'POST Attempted: ', req.url);
-            throw 'Un-recognized POST.'
-        }
+async function checkRoute(req, res) {
+    debugLog(7, req?.socket?.remoteAddress);
+    return router.handle(req, res);
+}
 
-    } catch (e) {
-        debugLog(3, 'Check POST Route Failed: ', e, ' | ', e.stack);
-        // ? 400 : Bad Request
-        return declineRoute(400, res, "Bad Request", req);
-    }
+/**
+ * Declines the request unless the signed in user holds the role, or one above it.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ * @param {String} role - 'user' | 'moderator' | 'admin'
+ * @returns {Promise<Object|null>} JWT payload, null when the request has been declined.
+ */
+async function requireRole(req, res, role) {
+    let payload = await authenticate(req, res);
+    if(hasRole(payload, role)) { return payload; }
+
+    debugLog(3, `Role: ${role} required, user: ${payload?.client_id} has role: ${payload?.client_role}.`);
+    // ? 401 : Un-Authorized Access
+    declineRoute(401, res, 'Un-Authorized');
+    return null;
 }
 
 /**
- * 
+ * Bodies of a compressible type are sent with brotli or gzip when the client accepts it.
  * @param {Number} status 
  * @param {ServerResponse} response 
  * @param {Buffer} outputContent
@@ -190,21 +300,42 @@ async function checkPostRoute(req, res) {
  * @param {Object<header, value>} [addHeaders]
  * @returns status, content, and contentType with included optional headers to client
  */
-function forwardContent(status, response, outputContent, contentType, addHeaders) {
+async function forwardContent(status, response, outputContent, contentType, addHeaders) {
 
     try {
+        // * Forms posted without javascript are sent on with a GET to the Location.
+        if(status >= 200 && status < 300 && Boolean(addHeaders?.Location) && response.req?.bodyType == 'urlencoded') {
+            // ? 303 : See Other
+            status = 303;
+        }
         response.statusCode = status;
 
         if(!Boolean(outputContent)) {
             outputContent = Buffer.from('', 'utf-8');
         }
 
+        if(isCompressible(contentType)) {
+            // * Caches must keep a copy per encoding, even of bodies that were too small to compress.
+            response.setHeader("Vary", "Accept-Encoding");
+
+            let encoding = negotiateEncoding(response.req?.headers['accept-encoding']);
+            if(Boolean(encoding) && Buffer.byteLength(outputContent) >= getCompressMinBytes()) {
+                outputContent = await compressContent(Buffer.from(outputContent), encoding);
+                response.setHeader("Content-Encoding", encoding);
+            }
+        }
+
         response.setHeader("Content-Length", Buffer.byteLength(outputContent));
         response.setHeader("Content-Type",  contentType);
 
         if( addHeaders ) {
             // TODO figure out why (let [hdr, val] in addHeaders) wont work without Object.entries.
             for(let [hdr, val] of Object.entries(addHeaders)) {
+                // * Cookies of a refreshed session may already be set.
+                if(hdr.toLowerCase() == 'set-cookie') {
+                    appendSetCookie(response, val);
+                    continue;
+                }
                 response.setHeader(hdr, val);
             }
         }
@@ -218,45 +349,31 @@ function forwardContent(status, response, outputContent, contentType, addHeaders
 }
 
 /**
- * 
+ * Renders the view of the route as a template, csrfToken and cspNonce are given to every view.
  * @param {Number} status
- * @param {String } route 
+ * @param {String} route 
  * @param {ServerResponse} response
+ * @param {Object} [values]
  * @param {Object} [addHeaders]
- * @returns status, setStaticResponse, and contentType linked with response with optional headers to client
+ * @returns status, rendered view, and contentType linked with response with optional headers to client
  */
-async function getStaticPage(status, route, response, addHeaders) {
+async function getTemplatePage(status, route, response, values, addHeaders) {
     try {
         let mapValueArr = fileLocationMap.get(route);
-        // ? Async File Read
-        let fileContents = await fs.readFile( mapValueArr[0] );
+        let html = await renderTemplate( getViewName(route), { csrfToken : getCsrfToken(response.req, response), cspNonce : response.cspNonce, ...values } );
 
-        return forwardContent(status, response, fileContents, mapValueArr[1], addHeaders);
-        
-    } catch (e) { debugLog(1, 'Static Route Fetch Error: ', e, ' | ', e.stack); }
+        return forwardContent(status, response, Buffer.from(html, 'utf-8'), mapValueArr[1], addHeaders);
+
+    } catch (e) { debugLog(1, 'Template Route Fetch Error: ', e, ' | ', e.stack); }
 }
 
 /**
  * 
- * @param {Number} status 
  * @param {String} route 
- * @param {ServerResponse} response 
- * @param {Function} asyncContentFetch 
- * @param {Object<header, value>} [addHeaders]
- * @returns status, dynamicallyCreated Content, and optional headers to client
+ * @returns {String} path of the view within public/view
  */
-async function getDynamicCommentPage(status, route, response, asyncContentFetch, addHeaders) {
-    try {
-        let mapValueArr = fileLocationMap.get(route);
-        // ? Async File Read
-        let fileContents = await fs.readFile( mapValueArr[0] );
-
-        //TODO replace with asyncContentFetch
-        let dynamicContent = await exportCommentPage( fileContents );
-
-        return forwardContent(status, response, dynamicContent, mapValueArr[1], addHeaders);
-
-    } catch (e) { debugLog(1, 'Dyanmic Route Fetch Error : ', e, ' | ', e.stack); }
+function getViewName(route) {
+    return fileLocationMap.get(route)[0].replace('./public/view/', '');
 }
 
 /**
@@ -270,60 +387,81 @@ async function getDynamicCommentPage(status, route, response, asyncContentFetch,
 async function declineRoute(status, response, message, request) {
 
     if(status == 400) {
-        // * User attempted to circumvent post request.
-        // TODO log IP and block if reoccur.
-
-        // * IP is pulled from nginx proxy headers.
-        var ip = request.getHeader('X-Real-IP');
-
-        // ? Remove comment if just hosting through nodejs
-        /* var ip = request?.ip 
-            || request?.connection?.remoteAddress 
-            || request?.socket?.remoteAddress 
-            || request?.connection?.socket?.remoteAddress; */
+        // * User attempted to circumvent post request, repeated attempts ban the ip.
+        // * IP is pulled from the trusted proxy headers, or the socket when hosting through nodejs.
+        if(Boolean(request)) {
+            recordStrike(getClientIp(request), `Bad request to ${request.url}`);
+        }
 
-        // if(Boolean(ip)) {
-        //     blackList.push(ip);
-        // }
-        
-        return getStaticPage(status, '/401', response);
+        return getTemplatePage(status, '/401', response);
     }
     if(status == 401) {
-        return getStaticPage(status, '/401', response);
+        return getTemplatePage(status, '/401', response);
     }
     if(status == 404) {
-        return getStaticPage(status, '/404', response);
+        return getTemplatePage(status, '/404', response);
     }
 
     return forwardContent(status, response, Buffer.from(message, 'utf-8'), 'text/plain');
 }
 
+/**
+ * Cookies that carry a signup from the signup page to email confirmation.
+ * * Username and Attempt-Email are signed, resending a code trusts them without the nonce.
+ * @param {String} name 
+ * @param {String} email 
+ * @param {String} publicNonce 
+ * @returns {Array<String>} Set-Cookie values
+ */
+function getSignupCookies(name, email, publicNonce) {
+    let options = { maxAge : SIGNUP_COOKIE_SEC, sameSite : 'Strict' };
+    return [
+        serializeCookie('Confirm-Nonce', publicNonce, options),
+        serializeCookie('Attempt-Email', email, { ...options, signed : true }),
+        serializeCookie('Username', name, { ...options, signed : true })
+    ];
+}
+
+/**
+ * 
+ * @param {IncomingMessage} req 
+ * @returns {Object<name, email, nonce>} values of the signup cookies, undefined when missing or changed.
+ */
+function readSignupCookies(req) {
+    let cookies = parseCookies(req.headers.cookie);
+    return {
+        name : readSignedCookie(cookies, 'Username'),
+        email : readSignedCookie(cookies, 'Attempt-Email'),
+        nonce : cookies.get('Confirm-Nonce')
+    };
+}
+
 /**
  * Removes used cookies associated with server responses.
  * @returns 403 : Forbidden Access to client
  */
 function sendClearedCookies(status, response) {
+    let options = { sameSite : 'Strict' };
     let cookieArr = [
-        `Username=${0}; Expires=${0}; Max-Age=${0}; Path=/; Secure; HttpOnly`, 
-        `Attempt-Email=${0}; Expires=${0}; Max-Age=${0}; Path=/; Secure; HttpOnly`, 
-        `Confirm-Nonce=${0}; Expires=${0}; Max-Age=${0}; Path=/; Secure; HttpOnly`
+        clearCookie('Username', options), 
+        clearCookie('Attempt-Email', options), 
+        clearCookie('Confirm-Nonce', options)
     ];
 
     return forwardContent( status, response, Buffer.from('Please retry sign-up process again.', 'utf-8'), 'text/plain', { "Set-Cookie" : cookieArr } );
 }
 
-/**7
- * @param {Request} reqUrl
- * @returns {String} email
+/**
+ * @param {IncomingMessage} req
+ * @returns {Boolean} true when the signup cookies belong to a login waiting for confirmation.
  */
-async function isEmailAttemptValid(cookie) {
+async function isEmailAttemptValid(req) {
     try {
-        let cookieMap = getClientCookieMap(cookie, ['Confirm-Nonce', 'Username', 'Attempt-Email']);
-        if(!Boolean(cookieMap)) { throw 'Browser did not have proper cookie.'; }
+        let signup = readSignupCookies(req);
+        if(!Boolean(signup.name) || !Boolean(signup.email) || !Boolean(signup.nonce)) { throw 'Browser did not have proper cookie.'; }
 
-        // TODO check exp dates?
-        let isValid = await isLoginCreationValid( cookieMap.get('Username'), cookieMap.get('Attempt-Email') );
-        debugLog(6, `Email-Attempt with: ${cookieMap.get('Username')}, ${cookieMap.get('Attempt-Email')}, isValid? = ${isValid}.`);
+        let isValid = await isLoginCreationValid( signup.name, signup.email );
+        debugLog(6, `Email-Attempt with: ${signup.name}, ${signup.email}, isValid? = ${isValid}.`);
         if(!isValid) { throw 'Login has already been confirmed.'; }
 
         return true;
@@ -337,67 +475,95 @@ async function isEmailAttemptValid(cookie) {
  * @param {ServerResponse} res 
  */
 async function processLoginRoute(req, res) {
-    let postData = '';
-
-    req.on('data', /* node js readableStream instance */ (chunk) => {
-        postData += chunk;
-    });
-
-    req.on("end", async () => {
-        try {
-            // * Use if parsing application/x-www-form-urlencoded
-            //let loginData = new URLSearchParams(postData);
+    try {
+        // * JSON from the page script, or the urlencoded form when javascript is off.
+        let loginData = req.body;
+
+        //Optional syntax so string error doesnt cause issue.
+        let testName = loginData.name?.replace(/"/g, '');
+        let testPwd = loginData.pwd?.replace(/"/g, '');
+        if(!Boolean(testName) || !Boolean(testPwd)) { throw 'Un-Authorized'; }
+        debugLog(6, 'Login recieved data: Name: ', testName);
+
+        let sterileName = sterilizeBasicString(testName);
+        let sterilePwd = sterilizeBasicString(testPwd);
+
+        if(sterileName != testName || sterilePwd != testPwd 
+            || !Boolean(sterileName) || !Boolean(sterilePwd)) {
+            debugLog(6, 'item did not pass standards: Name: ', testName);
+            throw 'Un-Authorized';
+        }
 
-            // * Use if using preferred JSON
-            debugLog(6, 'Recieved data: ', postData);
-            let loginData = JSON.parse(postData);
+        let confirmedUser = await getConfirmedLogin(sterileName, sterilePwd);
+        debugLog(3, 'Found confirmed email: ', confirmedUser ? true : false);
+        if(!Boolean(confirmedUser)) { throw 'Un-Authorized'; }
+        debugLog(6, "Confirmed User: ", confirmedUser.name)
 
-            //Optional syntax so string error doesnt cause issue.
-            let testName = loginData.name?.replace(/"/g, '');
-            let testPwd = loginData.pwd?.replace(/"/g, '');
-            if(!Boolean(testName) || !Boolean(testPwd)) { throw 'Un-Authorized'; }
-            debugLog(6, 'Login recieved data: Name: ', testName, ' | Pwd: ', testPwd);
+        // confirmedUser = JSON.parse( confirmedUser );
+        let cookieArr = await startSession(req, confirmedUser);
 
-            let sterileName = sterilizeBasicString(testName);
-            let sterilePwd = sterilizeBasicString(testPwd);
+        // ? 302 : Found
+        return forwardContent( 200, res, null, 'text/plain', 
+            { 
+                "Set-Cookie" : cookieArr, 
+                'Location' : '/'
+            } );
 
-            if(sterileName != testName || sterilePwd != testPwd 
-                || !Boolean(sterileName) || !Boolean(sterilePwd)) {
-                debugLog(6, 'item did not pass standards: Name: ', testName, ' | Pwd: ', testPwd);
-                throw 'Un-Authorized';
-            }
+    } catch (e) {
+        debugLog(3, 'Login Failed: ', e, ' | ', e.stack);
+        // * Un-Authorized is common 
+        if(e == 'Un-Authorized') {
+            return declineRoute( 401, res, '' );
+        }
+        debugLog(3, 'Unable to process the request: ');
+        console.error(req);
+        return declineRoute( 500, res, 'Backend Error' );
+    }
+}
 
-            let confirmedUser = await getConfirmedLogin(sterileName, sterilePwd);
-            debugLog(3, 'Found confirmed email: ', confirmedUser ? true : false);
-            if(!Boolean(confirmedUser)) { throw 'Un-Authorized'; }
-            debugLog(6, "Confirmed User: ", confirmedUser.name)
+/**
+ * Ends the session of the request, signed out clients are answered the same.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ */
+async function processLogoutRoute(req, res) {
+    try {
+        let isEnded = await endSession(req);
+        debugLog(6, 'Logout ended a session: ', isEnded);
 
-            // confirmedUser = JSON.parse( confirmedUser );
-            let jwtoken = createJWT(confirmedUser.id, confirmedUser.name, confirmedUser.email);
+        // ? 200 : Ok
+        return forwardContent(200, res, null, 'text/plain', 
+            {
+                "Set-Cookie" : getClearedSessionCookies(),
+                "Location" : '/'
+            } );
 
-            // ? 24 hr exp
-            let jwtExp = Date.now() + 1;
+    } catch (e) {
+        debugLog(3, 'Logout Failed: ', e, ' | ', e.stack);
+        return declineRoute(500, res, 'Backend Error');
+    }
+}
 
-            let cookieStr = `Access-Token=${jwtoken}; Expires=${jwtExp}; Path=/; Secure; HttpOnly`;
+/**
+ * Ends every session of the signed in user, on every device.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ */
+async function processLogoutAllRoute(req, res) {
+    try {
+        await endAllSessions(req.accessPayload.client_id);
 
-            // ? 302 : Found
-            return forwardContent( 200, res, null, 'text/plain', 
-                { 
-                    "Set-Cookie" : cookieStr, 
-                    'Location' : '/'
-                } );
+        // ? 200 : Ok
+        return forwardContent(200, res, null, 'text/plain', 
+            {
+                "Set-Cookie" : getClearedSessionCookies(),
+                "Location" : '/'
+            } );
 
-        } catch (e) {
-            debugLog(3, 'Login Failed: ', e, ' | ', e.stack);
-            // * Un-Authorized is common 
-            if(e == 'Un-Authorized') {
-                return declineRoute( 401, res, '' );
-            }
-            debugLog(3, 'Unable to process the request: ');
-            console.error(req);
-            return declineRoute( 500, res, 'Backend Error' );
-        }
-    });
+    } catch (e) {
+        debugLog(3, 'Logout Everywhere Failed: ', e, ' | ', e.stack);
+        return declineRoute(500, res, 'Backend Error');
+    }
 }
 
 /**
@@ -406,96 +572,78 @@ async function processLoginRoute(req, res) {
  * @param {ServerResponse} res 
  */
 async function processSignupRoute(req, res) {
-    let postData = '';
-
-    req.on('data', /* node js readableStream instance */ (chunk) => {
-        postData += chunk;
-    });
-
-    req.on("end", async () => {
-        try {
-            postData = JSON.parse(postData);
+    try {
+        let postData = req.body;
 
-            let testName = JSON.stringify(postData.name).replace(/"/g, '');
-            let testEmail = JSON.stringify(postData.email).replace(/"/g, '');
-            let testPwd = JSON.stringify(postData.pwd).replace(/"/g, '');
+        let testName = JSON.stringify(postData.name).replace(/"/g, '');
+        let testEmail = JSON.stringify(postData.email).replace(/"/g, '');
+        let testPwd = JSON.stringify(postData.pwd).replace(/"/g, '');
 
-            debugLog(6, 'Signup recieved data: Name: ', testName, ' | Email: ', testEmail, ' | Pwd: ', testPwd);
+        debugLog(6, 'Signup recieved data: Name: ', testName, ' | Email: ', testEmail);
 
-            let sterileName = sterilizeBasicString(testName);
-            let sterileEmail = sterilizeEmail(testEmail);
-            let sterilePwd = sterilizeBasicString(testPwd);
+        let sterileName = sterilizeBasicString(testName);
+        let sterileEmail = sterilizeEmail(testEmail);
+        let sterilePwd = sterilizeBasicString(testPwd);
 
-            if(sterileName != testName || sterileEmail != testEmail || sterilePwd != testPwd 
-                || !Boolean(sterileName) || !Boolean(sterileEmail) || !Boolean(sterilePwd)) {
-                throw 'Item did not pass standards.';
-            }
+        if(sterileName != testName || sterileEmail != testEmail || sterilePwd != testPwd 
+            || !Boolean(sterileName) || !Boolean(sterileEmail) || !Boolean(sterilePwd)) {
+            throw 'Item did not pass standards.';
+        }
 
-            let loginId = Number.parseInt( await createLogin(sterileName, sterilePwd, sterileEmail) );
-            debugLog(7, `Is login created: ${loginId}, ${Boolean(loginId)}`);
-            if(!Boolean(loginId)) throw 'Login was not added.';
-
-            let go = true;
-            let it = 0;
-            let genECode = '';
-            let ecodeId = 0;
-            while(go) {
-                genECode = randomNumericString(8);
-                if(!Boolean(genECode)) throw 'Failed to make randNumStr.';
-
-                // TODO show user waiting meter based on loading times
-                ecodeId = Number.parseInt( await createECode(genECode, loginId) );
-                if(Boolean(ecodeId) || it > 3) {
-                    go = false;
-                } else {
-                    it++;
-                }
+        let loginId = Number.parseInt( await createLogin(sterileName, sterilePwd, sterileEmail) );
+        debugLog(7, `Is login created: ${loginId}, ${Boolean(loginId)}`);
+        if(!Boolean(loginId)) throw 'Login was not added.';
+
+        let go = true;
+        let it = 0;
+        let genECode = '';
+        let ecodeId = 0;
+        while(go) {
+            genECode = randomNumericString(8);
+            if(!Boolean(genECode)) throw 'Failed to make randNumStr.';
+
+            // TODO show user waiting meter based on loading times
+            ecodeId = Number.parseInt( await createECode(genECode, loginId) );
+            if(Boolean(ecodeId) || it > 3) {
+                go = false;
+            } else {
+                it++;
             }
-            if(!Boolean(ecodeId)) throw 'Ecode was not added.';
-            debugLog(7, 'Code finally generated: ', genECode, ' after iterations: ', it);
-
-            let genNonce = randomCharString(16);
-            if(!Boolean(genNonce)) throw 'Nonce was not generated.';
-            let nonceExp = await createNonce(ecodeId, genNonce);
-            if(!Boolean(nonceExp)) throw 'Nonce was not added.';
-            let publicNonce = hashNonce(genNonce, new Date(nonceExp).toISOString());
-            if(!Boolean(publicNonce)) throw 'Hashing public nonce failed.';
-
-            // * 5-day cookie
-            let nameExp = new Date();
-            nameExp.setDate(nameExp.getDate() + 5);
-
-            debugLog(7, 'Login is created and email sent: ECode: ', genECode, ' | Hashed Nonce: ', publicNonce);
-
-            // * USERNAME AND ATTEMPT-EMAIL Cookies are used in signup page accessibility check isEmailAttemptValid().
-            let cookieArr = [
-                `Confirm-Nonce=${publicNonce}; Expires=${nonceExp}; Path=/; Secure; HttpOnly`, 
-                `Attempt-Email=${sterileEmail}; Expires=${nonceExp}; Path=/; Secure; HttpOnly`, 
-                `Username=${sterileName}; Expires=${nameExp}; Path=/; Secure; HttpOnly`
-            ];
-
-            // ? 302 : Found
-            forwardContent( 200, res, null, 'text/plain', 
-                {
-                    "Set-Cookie" : cookieArr, 
-                    "email-attempt" : sterileEmail, // * email-attempt header is used in the signup html, to create the url for user readability
-                    "Location" : '/confirm+email'
-                } );
-
-            let confirmationEmail = await setValuesInHTML('confirmation-email.html', {
-                '#CODE#' : genECode
-            });
-            let result = await sendMail(sterileEmail, '☑️ Email Confirmation for Comment-Stack-Message', '', confirmationEmail);
-            // TODO if fail send to queue for resending.
-            if(!Boolean(result)) { throw 'Unable to send email to activate email'; }
-            debugLog(7, 'Confirmation email has been: ', result.labelIds[0]);
-
-        } catch (e) {
-            debugLog(3, 'SignUp Failed: ', e, ' | ', e.stack);
-            // ? 406 : Not Acceptable - Content does not match server specified algorithm.
-            return declineRoute(406, res, 'Name, Email, Password cannot be accepted.');
         }
-    });
+        if(!Boolean(ecodeId)) throw 'Ecode was not added.';
+        debugLog(7, 'Code finally generated: ', genECode, ' after iterations: ', it);
+
+        let genNonce = randomCharString(16);
+        if(!Boolean(genNonce)) throw 'Nonce was not generated.';
+        let nonceExp = await createNonce(ecodeId, genNonce);
+        if(!Boolean(nonceExp)) throw 'Nonce was not added.';
+        let publicNonce = hashNonce(genNonce, new Date(nonceExp).toISOString());
+        if(!Boolean(publicNonce)) throw 'Hashing public nonce failed.';
+
+        debugLog(7, 'Login is created and email sent: ECode: ', genECode, ' | Hashed Nonce: ', publicNonce);
+
+        // * USERNAME AND ATTEMPT-EMAIL Cookies are used in signup page accessibility check isEmailAttemptValid().
+        let cookieArr = getSignupCookies(sterileName, sterileEmail, publicNonce);
+
+        // ? 302 : Found
+        forwardContent( 200, res, null, 'text/plain', 
+            {
+                "Set-Cookie" : cookieArr, 
+                "email-attempt" : sterileEmail, // * email-attempt header is used in the signup html, to create the url for user readability
+                "Location" : '/confirm+email'
+            } );
+
+        let confirmationEmail = await renderTemplate('confirmation-email.html', { code : genECode });
+        // * Queued mail is retried by the mail worker when sending fails.
+        let mailId = await queueMail(sterileEmail, '☑️ Email Confirmation for Comment-Stack-Message', confirmationEmail);
+        if(!Boolean(mailId)) { throw 'Unable to queue email to activate email'; }
+        debugLog(7, 'Confirmation email has been queued: ', mailId);
+
+    } catch (e) {
+        debugLog(3, 'SignUp Failed: ', e, ' | ', e.stack);
+        // ? 406 : Not Acceptable - Content does not match server specified algorithm.
+        return declineRoute(406, res, 'Name, Email, Password cannot be accepted.');
+    }
 }
 
 /**
@@ -507,121 +655,314 @@ async function processConfirmEmailRoute(req, res) {
 
     function ExpiredNonceException(val) {
         this.message = 'Expired-Nonce';
-        // this.ecode_id = ecodeId;
         this.login_id = val
         this.name = 'ExpiredNonceException_CMS';
     }
 
-    let postData = '';
+    try {
+        let postData = req.body;
+
+        // * 1 - Test for appropriate cookies
+        let signup = readSignupCookies(req);
+        if(!Boolean(signup.name) || !Boolean(signup.email) || !Boolean(signup.nonce)) { throw 'Unable to process request.'; }
+
+        // * 1 - A - Test Username
+        let testName = signup.name;
+        let sterileNameAttempt = sterilizeBasicString( testName );
+        if(testName != sterileNameAttempt || !Boolean(sterileNameAttempt)) { throw 'Something went wrong.'; }
+
+        // * 1 - B - Test Attempt-Email
+        let testEmail = signup.email;
+        let sterileEmailAttempt = sterilizeEmail( testEmail );
+        if(testEmail != sterileEmailAttempt || !Boolean(sterileEmailAttempt)) { throw 'Something went wrong.'; }
+
+        // * 1 - C - Test Nonce
+        let testNonce = signup.nonce;
+        let confirmNonce = sterilizeNonce( testNonce );
+        if(testNonce != confirmNonce || !Boolean(confirmNonce)) { throw 'Something went wrong.'; }
+
+        // * 2 - Test if code is properly formatted
+        let testCode = JSON.stringify(postData.ecode).replace(/"/g, '');
+        debugLog(6, 'E-Code confirmation recieved data: E-Code: ', testCode);
+        let sterileEcode = sterilizeECode(testCode);
+        if(sterileEcode != testCode || !Boolean(sterileEcode)) { throw 'Incorrect-Ecode'; }
+
+        // * 3 - Use Ecode to retrieve link to Nonce and Login.
+        let verifiedData = await getEcodeWLoginNonce( sterileEcode, sterileNameAttempt, sterileEmailAttempt );
+        if(!Boolean(verifiedData)) { throw 'Incorrect-Ecode'; }
+
+        // * 3 - ifExpired - Code must be resent
+        if(verifiedData.nonce_exp < Date.now()) {
+            throw new ExpiredNonceException(verifiedData.login_id);
+        }
+
+        // * 4 - Test if Nonce is valid.
+        let isHashValid = checkHash(confirmNonce, verifiedData.nonce_code, new Date(verifiedData.nonce_exp).toISOString());
+        debugLog(6, 'is PublicNonce Hash Valid? : ', isHashValid);
+        if(!isHashValid) { throw 'Something went wrong.'; }
 
-    req.on('data', /* node js readableStream instance */ (chunk) => {
-        postData += chunk;
-    });
+        // * 5 - Confirmation Verified, update database entries and reward JWT
+        // ! Must keep in order or db cascade issue.
+        await updateLoginConfirmed(verifiedData.login_id);
+        await deleteNonce(verifiedData.ecode_id);
+        await deleteECode(verifiedData.login_id);
 
-    req.on("end", async () => {
-        try {
-            postData = JSON.parse(postData);
-
-            // * 1 - Test for appropriate cookies
-            let cookieMap = getClientCookieMap(req.headers.cookie, ['Confirm-Nonce', 'Username', 'Attempt-Email']);
-            if(cookieMap?.size != 3) { throw 'Unable to process request.'; }
-
-            // * 1 - A - Test Username
-            let testName = cookieMap.get('Username');
-            let sterileNameAttempt = sterilizeBasicString( testName );
-            if(testName != sterileNameAttempt || !Boolean(sterileNameAttempt)) { throw 'Something went wrong.'; }
-
-            // * 1 - B - Test Attempt-Email
-            let testEmail = cookieMap.get('Attempt-Email');
-            let sterileEmailAttempt = sterilizeEmail( testEmail );
-            if(testEmail != sterileEmailAttempt || !Boolean(sterileEmailAttempt)) { throw 'Something went wrong.'; }
-
-            // * 1 - C - Test Nonce
-            let testNonce = cookieMap.get('Confirm-Nonce');
-            let confirmNonce = sterilizeNonce( testNonce );
-            if(testNonce != confirmNonce || !Boolean(confirmNonce)) { throw 'Something went wrong.'; }
-
-            // * 2 - Test if code is properly formatted
-            let testCode = JSON.stringify(postData.ecode).replace(/"/g, '');
-            debugLog(6, 'E-Code confirmation recieved data: E-Code: ', testCode);
-            let sterileEcode = sterilizeECode(testCode);
-            if(sterileEcode != testCode || !Boolean(sterileEcode)) { throw 'Incorrect-Ecode'; }
-
-            // * 3 - Use Ecode to retrieve link to Nonce and Login.
-            let verifiedData = await getEcodeWLoginNonce( sterileEcode, sterileNameAttempt, sterileEmailAttempt );
-            if(!Boolean(verifiedData)) { throw 'Incorrect-Ecode'; }
-
-            // * 3 - ifExpired - Restart signup
-            if(verifiedData.nonce_exp < Date.now()) {
-                // TODO Change ExpireException based on needs
-                throw new ExpiredNonceException(verifiedData.login_id);
-            }
+        let login = { id : verifiedData.login_id, name : verifiedData.login_name, email : verifiedData.login_email, role : verifiedData.login_role };
 
-            // * 4 - Test if Nonce is valid.
-            let isHashValid = checkHash(confirmNonce, verifiedData.nonce_code, new Date(verifiedData.nonce_exp).toISOString());
-            debugLog(6, 'is PublicNonce Hash Valid? : ', isHashValid);
-            if(!isHashValid) { throw 'Something went wrong.'; }
-
-            // * 5 - Confirmation Verified, update database entries and reward JWT
-            // ! Must keep in order or db cascade issue.
-            updateLoginConfirmed(verifiedData.login_id).then( () => {
-                deleteNonce(verifiedData.ecode_id).then( () => {
-                    deleteECode(verifiedData.login_id).then( () => {
-
-                        let jwtoken = createJWT(verifiedData.login_id, verifiedData.login_name, verifiedData.login_email);
-
-                        // ? 24 hr exp
-                        let jwtExp = Date.now() + 1; // * Check jwt::reateJWT() if changed
-
-                        let cookieArr = [
-                            `Access-Token=${jwtoken}; Expires=${jwtExp}; Path=/; Secure; HttpOnly`,
-                            `Confirm-Nonce=${0}; Expires=${0}; Max-Age=${0}; Path=/; Secure; HttpOnly`
-                        ];
-
-                        // ? 201 : Created
-                        return forwardContent( 201, res, null, 'text/plain', 
-                            { 
-                                "Set-Cookie" : cookieArr,
-                                "Location" : '/'
-                            } );
-                    });
-                });
-            });
-
-        } catch (e) {
-            debugLog(3, 'Confirm Email Failed: ', e, ' | ', e.stack);
-            if(e.message == 'Something went wrong.') {
-                // delete all cookies and send strong error to restart signup
-                // show alternate page with instructions.
-                // return declineRoute(404, res, '');
-                // TODO TEMP 404
-                return sendClearedCookies(404, res);
-            }
-            if(e.message == 'Incorrect-Ecode') {
-                // * Allow client to retry
-                // ? 406 : Not Acceptable
-                return declineRoute(406, res, '');
-            }
-            if(typeof e == ExpiredNonceException) {
-                // TODO redo sign-up process and resend confirmation email and mark resend exp on ammount of emails sent.
-                // re-Create NONCE > reGenCode > reExp
-                // * 1 day extension
-                /* let extendedExp = new Date();
-                extendedExp.setDate(extendedExp.getDate() + 1);
-
-                let renewedNonce = renewNonce(e.ecode_id, randomCharString(16), extendedExp);
-                let publicNonce = hashNonce(renewedNonce.code, new Date(renewedNonce.exp).toISOString());
-                if(!Boolean(publicNonce)) throw 'Hashing public nonce failed.'; */
-
-                //TODO TEMP DELETE , instead SEND NEW ECODE
-                await deleteLogin(e.login_id);
-                // TODO TEMP 303 : See Other , instead show prompt
-                return sendClearedCookies(200, res);
-            }
-            // ? 404 : Page Not Found
+        let cookieArr = [
+            ...await startSession(req, login),
+            clearCookie('Confirm-Nonce', { sameSite : 'Strict' })
+        ];
+
+        // ? 201 : Created
+        return forwardContent( 201, res, null, 'text/plain', 
+            { 
+                "Set-Cookie" : cookieArr,
+                "Location" : '/'
+            } );
+
+    } catch (e) {
+        debugLog(3, 'Confirm Email Failed: ', e, ' | ', e.stack);
+        if(e.message == 'Something went wrong.') {
+            // delete all cookies and send strong error to restart signup
+            // show alternate page with instructions.
+            // return declineRoute(404, res, '');
+            // TODO TEMP 404
             return sendClearedCookies(404, res);
         }
-    });
+        if(e.message == 'Incorrect-Ecode') {
+            // * Allow client to retry
+            // ? 406 : Not Acceptable
+            return declineRoute(406, res, '');
+        }
+        if(e instanceof ExpiredNonceException) {
+            // * Signup is kept, the client offers to resend the code.
+            // ? 410 : Gone
+            return declineRoute(410, res, 'Confirmation code has expired, please request a new code.');
+        }
+        // ? 404 : Page Not Found
+        return sendClearedCookies(404, res);
+    }
+}
+
+/**
+ * CONFIRM_RESEND_LIMIT : times a signup can be sent a new confirmation code.
+ * @returns {Number} resendLimit
+ */
+function getConfirmResendLimit() {
+    let resendLimit = Number.parseInt(process.env.CONFIRM_RESEND_LIMIT);
+    if(!Number.isSafeInteger(resendLimit) || resendLimit < 0) { return DEFAULT_CONFIRM_RESEND_LIMIT; }
+    return resendLimit;
+}
+
+/**
+ * Sends a new confirmation code, the nonce is renewed with a new expiry.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ */
+async function processResendCodeRoute(req, res) {
+    let isAnswered = false;
+    try {
+        // * 1 - Test for signup cookies, the nonce is replaced so it is not needed.
+        let signup = readSignupCookies(req);
+        if(!Boolean(signup.name) || !Boolean(signup.email)) { throw 'Unable to process request.'; }
+
+        let testName = signup.name;
+        let sterileNameAttempt = sterilizeBasicString( testName );
+        if(testName != sterileNameAttempt || !Boolean(sterileNameAttempt)) { throw 'Unable to process request.'; }
+
+        let testEmail = signup.email;
+        let sterileEmailAttempt = sterilizeEmail( testEmail );
+        if(testEmail != sterileEmailAttempt || !Boolean(sterileEmailAttempt)) { throw 'Unable to process request.'; }
+
+        // * 2 - Signup must still be waiting for confirmation.
+        let resendData = await getResendECode(sterileNameAttempt, sterileEmailAttempt);
+        if(!Boolean(resendData)) { throw 'Unable to process request.'; }
+
+        let resendLimit = getConfirmResendLimit();
+        if(resendData.resend_count >= resendLimit) {
+            debugLog(6, 'Resend limit reached for login: ', resendData.login_id);
+            // * The signup is removed, so signing up again with the same name and email starts over.
+            let isDeleted = await deleteUnconfirmedLogin(resendData.login_id);
+            if(!isDeleted) { debugLog(3, 'Unconfirmed login was not removed: ', resendData.login_id); }
+            // ? 429 : Too Many Requests
+            return sendClearedCookies(429, res);
+        }
+
+        // * 3 - New code
+        let genECode = randomNumericString(8);
+        if(!Boolean(genECode)) throw 'Failed to make randNumStr.';
+
+        let resendCount = await resendECode(resendData.ecode_id, genECode, resendLimit);
+        if(!Boolean(resendCount)) throw 'Ecode was not resent.';
+
+        // * 4 - Renew nonce, 1 day extension
+        let extendedExp = new Date();
+        extendedExp.setDate(extendedExp.getDate() + 1);
+
+        let renewedNonce = await renewNonce(resendData.ecode_id, randomCharString(16), extendedExp);
+        if(!Boolean(renewedNonce)) throw 'Nonce was not renewed.';
+        let publicNonce = hashNonce(renewedNonce.code, new Date(renewedNonce.exp).toISOString());
+        if(!Boolean(publicNonce)) throw 'Hashing public nonce failed.';
+
+        let cookieArr = getSignupCookies(sterileNameAttempt, sterileEmailAttempt, publicNonce);
+
+        // ? 200 : Ok
+        forwardContent( 200, res, Buffer.from(`${resendLimit - resendCount}`, 'utf-8'), 'text/plain', 
+            {
+                "Set-Cookie" : cookieArr
+            } );
+        isAnswered = true;
+
+        let confirmationEmail = await renderTemplate('confirmation-email.html', { code : genECode });
+        let mailId = await queueMail(sterileEmailAttempt, '☑️ Email Confirmation for Comment-Stack-Message', confirmationEmail);
+        if(!Boolean(mailId)) { throw 'Unable to queue email to activate email'; }
+        debugLog(7, 'Confirmation email has been queued again: ', mailId);
+
+    } catch (e) {
+        debugLog(3, 'Resend Code Failed: ', e, ' | ', e.stack);
+        if(isAnswered) { return ; }
+        // ? 404 : Page Not Found
+        return sendClearedCookies(404, res);
+    }
+}
+
+/**
+ * Emails a single use link to reset the password of the login with the email.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ */
+async function processForgotPasswordRoute(req, res) {
+    let isAnswered = false;
+    try {
+        let postData = req.body;
+
+        let testEmail = JSON.stringify(postData.email).replace(/"/g, '');
+        let sterileEmail = sterilizeEmail(testEmail);
+        if(sterileEmail != testEmail || !Boolean(sterileEmail)) { throw 'Item did not pass standards.'; }
+
+        // * Answer the same whether or not the email belongs to a login, so emails can not be discovered.
+        // ? 200 : Ok
+        forwardContent(200, res, Buffer.from('If the email belongs to an account, a reset link has been sent.', 'utf-8'), 'text/plain');
+        isAnswered = true;
+
+        let login = await getConfirmedLoginWEmail(sterileEmail);
+        if(!Boolean(login)) { throw 'No confirmed login with the email.'; }
+
+        // * Only the newest link works.
+        await deleteResetECodes(login.id);
+
+        let go = true;
+        let it = 0;
+        let genECode = '';
+        let ecodeId = 0;
+        while(go) {
+            genECode = randomNumericString(8);
+            if(!Boolean(genECode)) throw 'Failed to make randNumStr.';
+
+            ecodeId = Number.parseInt( await createECode(genECode, login.id, 'reset') );
+            if(Boolean(ecodeId) || it > 3) {
+                go = false;
+            } else {
+                it++;
+            }
+        }
+        if(!Boolean(ecodeId)) throw 'Ecode was not added.';
+
+        let genNonce = randomCharString(16);
+        if(!Boolean(genNonce)) throw 'Nonce was not generated.';
+        let nonceExp = await createNonce(ecodeId, genNonce, new Date(Date.now() + RESET_LINK_MINUTES * 60 * 1000));
+        if(!Boolean(nonceExp)) throw 'Nonce was not added.';
+        let publicNonce = hashNonce(genNonce, new Date(nonceExp).toISOString());
+        if(!Boolean(publicNonce)) throw 'Hashing public nonce failed.';
+
+        // * SITE_URL is used over the Host header, a forged Host would send the link elsewhere.
+        let siteUrl = process.env.SITE_URL || `http://localhost:${process.env.NODE_PORT || 3000}`;
+        let resetLink = `${siteUrl}/reset+password?code=${genECode}&nonce=${encodeURIComponent(publicNonce)}`;
+
+        let resetEmail = await renderTemplate('reset-password-email.html', { link : resetLink, minutes : RESET_LINK_MINUTES });
+        let mailId = await queueMail(sterileEmail, '🔑 Password Reset for Comment-Stack-Message', resetEmail);
+        if(!Boolean(mailId)) { throw 'Unable to queue password reset email.'; }
+        debugLog(7, 'Password reset email has been queued: ', mailId);
+
+    } catch (e) {
+        debugLog(3, 'Forgot Password Failed: ', e, ' | ', e.stack);
+        if(isAnswered) { return ; }
+        // ? 406 : Not Acceptable
+        return declineRoute(406, res, 'Email cannot be accepted.');
+    }
+}
+
+/**
+ * Code and nonce of the emailed reset link, the page posts them back as hidden fields.
+ * ! WARNING -- Contents are not sterilized, they are escaped into the page and checked when posted.
+ * @param {String} reqUrl
+ * @returns {Object<code, nonce>}
+ */
+function getResetLinkArgs(reqUrl) {
+    let argMap = reqUrl.includes('?') ? getURLArg(reqUrl) : null;
+    try {
+        return {
+            code : decodeURIComponent(argMap?.get('code') ?? ''),
+            nonce : decodeURIComponent(argMap?.get('nonce') ?? '')
+        };
+    } catch (e) { return { code : '', nonce : '' }; }
+}
+
+/**
+ * Sets a new password with the code and nonce of the emailed link, existing sessions are signed out.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ */
+async function processResetPasswordRoute(req, res) {
+    try {
+        let postData = req.body;
+
+        let testCode = JSON.stringify(postData.code).replace(/"/g, '');
+        let sterileEcode = sterilizeECode(testCode);
+        if(sterileEcode != testCode || !Boolean(sterileEcode)) { throw 'Invalid-Link'; }
+
+        let testNonce = JSON.stringify(postData.nonce).replace(/"/g, '');
+        let resetNonce = sterilizeNonce(testNonce);
+        if(resetNonce != testNonce || !Boolean(resetNonce)) { throw 'Invalid-Link'; }
+
+        let testPwd = JSON.stringify(postData.pwd).replace(/"/g, '');
+        let sterilePwd = sterilizeBasicString(testPwd);
+        if(sterilePwd != testPwd || !Boolean(sterilePwd)) { throw 'Pwd did not pass standards.'; }
+
+        let resetCodes = await getResetECodes(sterileEcode);
+        let resetCode = resetCodes?.find( (code) => {
+            return code.nonce_exp > Date.now() 
+                && checkHash(resetNonce, code.nonce_code, new Date(code.nonce_exp).toISOString());
+        });
+        if(!Boolean(resetCode)) { throw 'Invalid-Link'; }
+
+        // * Single use, the code is removed before the password changes. A request sent with the same link at once finds it gone.
+        let isUsed = await useResetECode(resetCode.ecode_id);
+        if(!isUsed) { throw 'Invalid-Link'; }
+
+        let pwdChanged = await resetLoginPwd(resetCode.login_id, sterilePwd);
+        if(!Boolean(pwdChanged)) { throw 'Password was not reset.'; }
+        // * Every session of the login ends, a stolen password or token stops working.
+        await endAllSessions(resetCode.login_id);
+        debugLog(3, 'Password reset for login: ', resetCode.login_id);
+
+        // ? 200 : Ok
+        return forwardContent(200, res, null, 'text/plain', 
+            {
+                "Set-Cookie" : getClearedSessionCookies(),
+                "Location" : '/login'
+            } );
+
+    } catch (e) {
+        debugLog(3, 'Reset Password Failed: ', e, ' | ', e.stack);
+        if(e == 'Invalid-Link') {
+            // ? 410 : Gone - the link was used, replaced or has expired.
+            return declineRoute(410, res, 'Reset link is not valid.');
+        }
+        // ? 406 : Not Acceptable
+        return declineRoute(406, res, 'Password cannot be accepted.');
+    }
 }
 
 /**
@@ -631,92 +972,526 @@ async function processConfirmEmailRoute(req, res) {
  * @param userId 
  */
 async function processCommentPost(req, res, userId) {
-    let postData = '';
+    try {
+        debugLog(6, 'Recieved data: ', req.body);
+        let commentData = req.body;
+        let testThreadId = commentData.thread_id;
+        if(!Boolean(testThreadId)) { testThreadId = null; } // * This statement is required as it is serverside conversion only.
 
-    req.on('data', /* node js readableStream instance */ (chunk) => {
-        postData += chunk;
-    });
+        let sterileComment = getSterileComment(commentData.comment);
 
-    req.on("end", async () => {
-        try {
-            debugLog(6, 'Recieved data: ', postData);
-            let commentData = JSON.parse(postData);
-            let testThreadId = commentData.thread_id;
-            if(!Boolean(testThreadId)) { testThreadId = null; } // * This statement is required as it is serverside conversion only.
+        debugLog(3, 'Attempting Comment Creation.');
 
-            let testComment = commentData.comment;
-            if(!Boolean(testComment)) { throw 'Comment is empty.'; }
+        let status = await getNewCommentStatus(userId);
+        let createdComment = await createComment(sterileComment, testThreadId, userId, status);
+        debugLog(6, 'CommentCreated: ', createdComment);
+        if(!Boolean(createdComment)) { throw 'Comment failed to be created.'; }
 
-            let sterileComment = sterilizeComment(testComment);
-            if(!Boolean(sterileComment)) { throw 'Comment does not meet standards.'; }
+        // * Open pages insert the comment into its thread, the author recieves it in the response as well.
+        // * Pending comments are published once a moderator approves them.
+        if(createdComment.status == 'approved') {
+            publishLiveEvent('comment', toThreadNode(createdComment));
+        }
 
-            debugLog(3, 'Attempting Comment Creation.');
+        // ? 200 : Ok
+        return forwardContent(200, res, Buffer.from(JSON.stringify(toThreadNode(createdComment, userId)), 'utf-8'), 'application/json; charset=utf-8',
+            getCommentFormHeaders(req, createdComment.comment_id) );
 
-            if(Buffer.byteLength(sterileComment, 'utf-8') > 128) {
-                throw 'Comment too long';
-            }
+    } catch (e) {
+        debugLog(3, 'Comment Process Failed: ', e, ' | ', e.stack);
+        // ? 406 - Not Acceptable
+        return declineRoute(406, res, 'CommentFailed.')
+    }
+}
+
+/**
+ * Forms posted without javascript are sent back to the board, at the comment when it is still there.
+ * @param {IncomingMessage} req 
+ * @param {Number} [commentId] 
+ * @returns {Object|undefined} Location header, undefined for requests sent by the page's script.
+ */
+function getCommentFormHeaders(req, commentId) {
+    if(req.bodyType != 'urlencoded') { return undefined; }
+    return { "Location" : Boolean(commentId) ? `/#comment_${commentId}` : '/' };
+}
 
-            let isCommentCreated = await createComment(sterileComment, testThreadId, userId);
-            debugLog(6, 'CommentCreated: ', isCommentCreated);
+/**
+ * 
+ * @param {String} testComment - comment as recieved from the client.
+ * @returns {String} sterile comment
+ */
+function getSterileComment(testComment) {
+    if(!Boolean(testComment)) { throw 'Comment is empty.'; }
 
-            // TODO add comment to the page. With Map and 
-            if(!isCommentCreated) { throw 'Comment failed to be created.'; }
+    let sterileComment = sterilizeComment(testComment);
+    if(!Boolean(sterileComment)) { throw 'Comment does not meet standards.'; }
 
-            // ? 200 : Ok
-            return forwardContent(200, res, null, 'text/plain');
+    if(Buffer.byteLength(sterileComment, 'utf-8') > 128) {
+        throw 'Comment too long';
+    }
 
-        } catch (e) {
-            debugLog(3, 'Comment Process Failed: ', e, ' | ', e.stack);
-            // ? 406 - Not Acceptable
-            return declineRoute(406, res, 'CommentFailed.')
+    return sterileComment;
+}
+
+/**
+ * 
+ * @param {String|Number} testId - comment id as recieved from the client.
+ * @returns {Number} comment id
+ */
+function getSterileCommentId(testId) {
+    let commentId = Number.parseInt(testId);
+    if(!Number.isSafeInteger(commentId) || commentId < 1 || commentId != testId) { throw 'Comment id is not valid.'; }
+
+    return commentId;
+}
+
+/**
+ * Replaces the content of a comment owned by the user, the previous content is kept as a revision.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ * @param {Number} userId 
+ */
+async function processCommentEdit(req, res, userId) {
+    try {
+        debugLog(6, 'Recieved data: ', req.body);
+        let commentData = req.body;
+
+        let commentId = getSterileCommentId(commentData.comment_id);
+        let sterileComment = getSterileComment(commentData.comment);
+
+        // * An edit is new content, it is held the same as a new comment from the user would be.
+        let status = await getNewCommentStatus(userId);
+        let updatedComment = await updateComment(commentId, userId, sterileComment, status == 'pending' ? 'pending' : null);
+        debugLog(6, 'CommentUpdated: ', updatedComment);
+        if(!Boolean(updatedComment)) { throw 'Comment failed to be updated.'; }
+
+        // * A held edit is published once a moderator approves it.
+        if(updatedComment.status == 'approved') {
+            publishLiveEvent('comment-edit', toThreadNode(updatedComment));
         }
-    });
+
+        // ? 200 : Ok
+        return forwardContent(200, res, Buffer.from(JSON.stringify(toThreadNode(updatedComment, userId)), 'utf-8'), 'application/json; charset=utf-8',
+            getCommentFormHeaders(req, updatedComment.comment_id) );
+
+    } catch (e) {
+        debugLog(3, 'Comment Edit Failed: ', e, ' | ', e.stack);
+        // ? 406 - Not Acceptable
+        return declineRoute(406, res, 'CommentFailed.')
+    }
 }
 
 /**
  * 
- * @param res 
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ * @param {Number} userId 
+ */
+async function processCommentDelete(req, res, userId) {
+    try {
+        debugLog(6, 'Recieved data: ', req.body);
+        let commentData = req.body;
+
+        let commentId = getSterileCommentId(commentData.comment_id);
+
+        let deletion = await deleteComment(commentId, userId);
+        if(!Boolean(deletion)) { throw 'Comment failed to be deleted.'; }
+
+        let deletedComment = { id : commentId, tombstone : deletion.tombstone, removed : deletion.removed };
+        publishLiveEvent('comment-delete', deletedComment);
+
+        // ? 200 : Ok
+        return forwardContent(200, res, Buffer.from(JSON.stringify(deletedComment), 'utf-8'), 'application/json; charset=utf-8',
+            getCommentFormHeaders(req) );
+
+    } catch (e) {
+        debugLog(3, 'Comment Delete Failed: ', e, ' | ', e.stack);
+        // ? 406 - Not Acceptable
+        return declineRoute(406, res, 'CommentFailed.')
+    }
+}
+
+/**
+ * Records the user's vote on a comment, a vote of 0 takes it back.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ * @param {Number} userId 
+ */
+async function processCommentVote(req, res, userId) {
+    try {
+        debugLog(6, 'Recieved data: ', req.body);
+        let voteData = req.body;
+
+        let commentId = getSterileCommentId(voteData.comment_id);
+        let vote = voteData.vote;
+        if(vote !== 1 && vote !== -1 && vote !== 0) { throw 'Vote is not valid.'; }
+
+        let votedComment = await castVote(commentId, userId, vote);
+        if(!Boolean(votedComment)) { throw 'Vote failed to be cast.'; }
+
+        publishLiveEvent('comment-score', { id : votedComment.id, score : votedComment.score });
+
+        // ? 200 : Ok
+        return forwardContent(200, res, 
+            Buffer.from(JSON.stringify({ id : votedComment.id, score : votedComment.score, vote : vote }), 'utf-8'), 
+            'application/json; charset=utf-8');
+
+    } catch (e) {
+        debugLog(3, 'Comment Vote Failed: ', e, ' | ', e.stack);
+        // ? 406 - Not Acceptable
+        return declineRoute(406, res, 'VoteFailed.')
+    }
+}
+
+/**
+ * Approves or rejects a pending comment.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ */
+async function processCommentModeration(req, res) {
+    try {
+        debugLog(6, 'Recieved data: ', req.body);
+        let moderationData = req.body;
+
+        let commentId = getSterileCommentId(moderationData.comment_id);
+        let status = moderationData.status;
+        if(status !== 'approved' && status !== 'rejected') { throw 'Status is not valid.'; }
+
+        let moderatedComment = await setCommentStatus(commentId, status);
+        if(!Boolean(moderatedComment)) { throw 'Comment failed to be moderated.'; }
+
+        // * Approved comments reach every open page, rejected ones leave the author's page.
+        if(moderatedComment.status == 'approved') {
+            // * Flags raised before approval have been reviewed, only new ones can hide the comment again.
+            await dismissFlags(commentId);
+            publishLiveEvent('comment', toThreadNode(moderatedComment));
+        } else {
+            publishLiveEvent('comment-delete', { id : commentId, tombstone : false, removed : [ commentId ] });
+        }
+
+        // ? 200 : Ok
+        return forwardContent(200, res, 
+            Buffer.from(JSON.stringify({ id : commentId, status : moderatedComment.status }), 'utf-8'), 
+            'application/json; charset=utf-8');
+
+    } catch (e) {
+        debugLog(3, 'Comment Moderation Failed: ', e, ' | ', e.stack);
+        // ? 406 - Not Acceptable
+        return declineRoute(406, res, 'ModerationFailed.')
+    }
+}
+
+/**
+ * Flags a comment for moderator review, the comment is hidden once enough flags wait for review.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ * @param {Number} userId 
+ */
+async function processCommentFlag(req, res, userId) {
+    try {
+        debugLog(6, 'Recieved data: ', req.body);
+        let flagData = req.body;
+
+        let commentId = getSterileCommentId(flagData.comment_id);
+        let reason = flagData.reason;
+        if(!FLAG_REASONS.includes(reason)) { throw 'Flag reason is not valid.'; }
+
+        let flag = await createFlag(commentId, userId, reason);
+        if(!Boolean(flag)) { throw 'Comment failed to be flagged.'; }
+
+        let threshold = getFlagHideThreshold();
+        let hidden = threshold > 0 && flag.flag_count >= threshold && await holdComment(commentId);
+        if(hidden) {
+            debugLog(3, `Comment: ${commentId} hidden after flags: ${flag.flag_count} .`);
+            publishLiveEvent('comment-delete', { id : commentId, tombstone : false, removed : [ commentId ] });
+        }
+
+        // ? 200 : Ok
+        return forwardContent(200, res, 
+            Buffer.from(JSON.stringify({ id : commentId, reason : reason }), 'utf-8'), 
+            'application/json; charset=utf-8');
+
+    } catch (e) {
+        debugLog(3, 'Comment Flag Failed: ', e, ' | ', e.stack);
+        // ? 406 - Not Acceptable
+        return declineRoute(406, res, 'FlagFailed.')
+    }
+}
+
+/**
+ * Marks the flags of a comment as reviewed without changing the comment.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ */
+async function processFlagDismissal(req, res) {
+    try {
+        debugLog(6, 'Recieved data: ', req.body);
+        let commentId = getSterileCommentId( req.body.comment_id );
+
+        let isDismissed = await dismissFlags(commentId);
+        if(!isDismissed) { throw 'Flags failed to be dismissed.'; }
+
+        // ? 200 : Ok
+        return forwardContent(200, res, Buffer.from(JSON.stringify({ id : commentId }), 'utf-8'), 'application/json; charset=utf-8');
+
+    } catch (e) {
+        debugLog(3, 'Flag Dismissal Failed: ', e, ' | ', e.stack);
+        // ? 406 - Not Acceptable
+        return declineRoute(406, res, 'DismissFailed.')
+    }
+}
+
+/**
+ * Gives a login the user, moderator or admin role.
+ * * The new role is carried in the login's token from its next refresh.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ * @param {Number} adminId 
+ */
+async function processRoleUpdate(req, res, adminId) {
+    try {
+        debugLog(6, 'Recieved data: ', req.body);
+        let roleData = req.body;
+
+        let loginId = Number.parseInt(roleData.login_id);
+        if(!Number.isSafeInteger(loginId) || loginId < 1 || loginId != roleData.login_id) { throw 'Login id is not valid.'; }
+        if(!isRole(roleData.role)) { throw 'Role is not valid.'; }
+        // * Admins can not remove their own role, so the board always keeps one.
+        if(loginId == adminId && roleData.role != 'admin') { throw 'Admin can not demote themself.'; }
+
+        let updatedLogin = await updateLoginRole(loginId, roleData.role);
+        if(!Boolean(updatedLogin)) { throw 'Role failed to be updated.'; }
+
+        // ? 200 : Ok
+        return forwardContent(200, res, Buffer.from(JSON.stringify(updatedLogin), 'utf-8'), 'application/json; charset=utf-8');
+
+    } catch (e) {
+        debugLog(3, 'Role Update Failed: ', e, ' | ', e.stack);
+        // ? 406 - Not Acceptable
+        return declineRoute(406, res, 'RoleFailed.')
+    }
+}
+
+/**
+ * Bans an ip for a number of minutes, or until lifted when minutes is not given.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ */
+async function processIpBan(req, res) {
+    try {
+        debugLog(6, 'Recieved data: ', req.body);
+        let banData = req.body;
+
+        let reason = String(banData.reason ?? 'Banned by admin').slice(0, 128);
+
+        let expires = null;
+        if(banData.minutes != null) {
+            let minutes = Number.parseInt(banData.minutes);
+            if(!Number.isSafeInteger(minutes) || minutes < 1 || minutes != banData.minutes) { throw 'Ban minutes is not valid.'; }
+            expires = new Date(Date.now() + minutes * 60 * 1000);
+        }
+
+        let ban = await banIp(banData.ip, reason, expires);
+        if(!Boolean(ban)) { throw 'Ip failed to be banned.'; }
+
+        // ? 200 : Ok
+        return forwardContent(200, res, Buffer.from(JSON.stringify(ban), 'utf-8'), 'application/json; charset=utf-8');
+
+    } catch (e) {
+        debugLog(3, 'Ip Ban Failed: ', e, ' | ', e.stack);
+        // ? 406 - Not Acceptable
+        return declineRoute(406, res, 'BanFailed.')
+    }
+}
+
+/**
  * 
- * @param route 
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
  */
-async function processThreadPage(res, route) {
+async function processIpUnban(req, res) {
+    try {
+        debugLog(6, 'Recieved data: ', req.body);
+        let ip = req.body.ip;
 
-    // * code to load threads in html page.  Currently not set to this method.
-    // * To allow this method replace commenting.html and index.html with comment-thread-logic in .private/.old
-    /* ( function sendJsonThreads() {
-        let jsonThreadArr = {
-            all_threads : await getAllThreadsPublic(),
-        };
+        let isLifted = await liftBan(ip);
+        if(!isLifted) { throw 'Ip was not banned.'; }
 
-        // {
-        // all_threads : [
-        //     {
-        //         comment_id : ##,
-        //         content : "hello",
-        //         thread_id : null,
-        //         user : "nick",
-        //         created : "2021-11-05T00:49:37.887Z"
-        //     },
-        //     { ...
-        // ]
+        // ? 200 : Ok
+        return forwardContent(200, res, Buffer.from(JSON.stringify({ ip : ip }), 'utf-8'), 'application/json; charset=utf-8');
 
-        forwardContent(200, res, Buffer.from(JSON.stringify(jsonThreadArr), 'utf-8'), 'application/json');
+    } catch (e) {
+        debugLog(3, 'Ip Unban Failed: ', e, ' | ', e.stack);
+        // ? 406 - Not Acceptable
+        return declineRoute(406, res, 'UnbanFailed.')
+    }
+}
 
-    })(); */
+/**
+ * Queues a dead or failing mail to be sent again.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ */
+async function processMailRetry(req, res) {
+    try {
+        debugLog(6, 'Recieved data: ', req.body);
+        let mailData = req.body;
 
-    let mapValueArr = fileLocationMap.get(route);
-    let fileContents = await fs.readFile( mapValueArr[0] );
+        let mailId = Number.parseInt(mailData.id);
+        if(!Number.isSafeInteger(mailId) || mailId < 1 || mailId != mailData.id) { throw 'Mail id is not valid.'; }
 
-    return await ( async function sendFormatedThreadPage() {
+        let retriedMail = await retryMail(mailId);
+        if(!Boolean(retriedMail)) { throw 'Mail was not retried.'; }
 
-        let bufferedContent = Buffer.from(
-            await exportCommentPage( fileContents.toString('utf-8') ),
-            'utf-8'
-        );
         // ? 200 : Ok
-        forwardContent(200, res, bufferedContent, mapValueArr[1]);
-    })();
+        return forwardContent(200, res, Buffer.from(JSON.stringify(retriedMail), 'utf-8'), 'application/json; charset=utf-8');
+
+    } catch (e) {
+        debugLog(3, 'Mail Retry Failed: ', e, ' | ', e.stack);
+        // ? 406 - Not Acceptable
+        return declineRoute(406, res, 'RetryFailed.')
+    }
+}
+
+/**
+ * Reads the after, limit and sort arguments used by every paged route.
+ * * after is the id of the last comment shown, "score:id" when sorted by score.
+ * @param {String} reqUrl 
+ * @param {Number} defaultLimit 
+ * @returns {Object<after, limit, sort>} after is { id, score } or null for the first page, sort is 'new' | 'top'.
+ */
+function getPageArgs(reqUrl, defaultLimit) {
+    let argMap = reqUrl.includes('?') ? getURLArg(reqUrl) : null;
+
+    let sort = argMap?.get('sort') == 'top' ? 'top' : 'new';
+    let cursor = /^(?:(-?\d+)(?::|%3A))?(\d+)$/i.exec( argMap?.get('after') ?? '' );
+    let afterId = Number.parseInt( cursor?.[2] );
+    let afterScore = Number.parseInt( cursor?.[1] );
+    // * A 'top' cursor without its score can not tell where the page continues, the first page is sent.
+    let hasCursor = Number.isSafeInteger(afterId) && afterId > 0 && (sort == 'new' || Number.isSafeInteger(afterScore));
+    let limit = Number.parseInt( argMap?.get('limit') );
+
+    return {
+        after : hasCursor ? { id : afterId, score : sort == 'top' ? afterScore : null } : null,
+        limit : Number.isSafeInteger(limit) && limit > 0 ? Math.min(limit, MAX_PAGE_LIMIT) : defaultLimit,
+        sort : sort
+    };
+}
+
+/**
+ * 
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ * @param {String} route 
+ * @param {Number} [viewerId] - client_id of the signed in user.
+ */
+async function processThreadPage(req, res, route, viewerId) {
+
+    let mapValueArr = fileLocationMap.get(route);
+
+    let { after, limit, sort } = getPageArgs(req.url, THREAD_PAGE_LIMIT);
+    let threadPage = await getThreadPagePublic(after, limit, REPLY_PAGE_LIMIT, sort, viewerId);
+
+    let bufferedContent = Buffer.from(
+        await exportCommentPage( getViewName(route), buildThreadTree(threadPage.rows, viewerId), threadPage.next, sort,
+            { csrfToken : getCsrfToken(req, res), cspNonce : res.cspNonce } ),
+        'utf-8'
+    );
+    // ? 200 : Ok
+    return forwardContent(200, res, bufferedContent, mapValueArr[1]);
+}
+
+/**
+ * 
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ */
+async function processModerationPage(req, res) {
+
+    let mapValueArr = fileLocationMap.get('/moderation');
+
+    let pendingComments = await getPendingComments();
+    if(!Boolean(pendingComments)) { throw 'Pending comments failed to load.'; }
+    let flaggedComments = await getFlaggedComments();
+    if(!Boolean(flaggedComments)) { throw 'Flagged comments failed to load.'; }
+
+    let bufferedContent = Buffer.from( await exportModerationPage( getViewName('/moderation'), pendingComments, flaggedComments,
+        { csrfToken : getCsrfToken(req, res), cspNonce : res.cspNonce } ), 'utf-8' );
+    // ? 200 : Ok
+    return forwardContent(200, res, bufferedContent, mapValueArr[1]);
+}
+
+/**
+ * Sends a page of the board as a nested JSON tree for clients that do not use the html views.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ * @returns {Object} threads : [ { id, parent_id, author, content, created, score, reply_count, replies : [ ... ] } ], next : cursor|null
+ */
+async function sendJsonThreads(req, res) {
+    let viewerId = (await authenticate(req, res))?.client_id;
+    let { after, limit, sort } = getPageArgs(req.url, THREAD_PAGE_LIMIT);
+    let threadPage = await getThreadPagePublic(after, limit, REPLY_PAGE_LIMIT, sort, viewerId);
+
+    let jsonThreads = {
+        threads : buildThreadTree(threadPage.rows, viewerId),
+        next : threadPage.next
+    };
+
+    // ? 200 : Ok
+    return forwardContent(200, res, Buffer.from(JSON.stringify(jsonThreads), 'utf-8'), 'application/json; charset=utf-8');
+}
+
+/**
+ * Sends the replies of a comment that follow the ones already shown.
+ * @param {IncomingMessage} req 
+ * @param {ServerResponse} res 
+ * @param {Number} commentId 
+ * @returns {Object} replies : [ { id, parent_id, author, content, created, score, reply_count, replies : [ ... ] } ], next : cursor|null
+ */
+async function sendJsonReplies(req, res, commentId) {
+    let viewerId = (await authenticate(req, res))?.client_id;
+    let { after, limit, sort } = getPageArgs(req.url, REPLY_PAGE_LIMIT);
+    let replyPage = await getReplyPagePublic(commentId, after, limit, REPLY_PAGE_LIMIT, sort, viewerId);
+    if(replyPage === null) {
+        // ? 404 : Page Not Found - the comment is hidden, removed or was never written.
+        return declineRoute(404, res, 'Comment Does Not Exist');
+    }
+    if(!Boolean(replyPage)) { throw 'Replies failed to load.'; }
+
+    let jsonReplies = {
+        replies : buildThreadTree(replyPage.rows, viewerId),
+        next : replyPage.next
+    };
+
+    // ? 200 : Ok
+    return forwardContent(200, res, Buffer.from(JSON.stringify(jsonReplies), 'utf-8'), 'application/json; charset=utf-8');
+}
+
+/**
+ * Sends the earlier contents of an edited comment.
+ * @param {ServerResponse} res 
+ * @param {Number} commentId 
+ * @returns {Object} revisions : [ { content, revised } ] - oldest first
+ */
+async function sendJsonRevisions(res, commentId) {
+    let revisions = await getCommentRevisions(commentId);
+    if(!Boolean(revisions)) { throw 'Revisions failed to load.'; }
+
+    // ? 200 : Ok
+    return forwardContent(200, res, Buffer.from(JSON.stringify({ revisions : revisions }), 'utf-8'), 'application/json; charset=utf-8');
+}
+
+/**
+ * Lists dead mail, and mail still being retried, with their last error.
+ * @param {ServerResponse} res 
+ */
+async function sendJsonStuckMails(res) {
+    let mails = await getStuckMails(MAX_PAGE_LIMIT);
+    if(!Boolean(mails)) { throw 'Mail queue failed to load.'; }
+
+    // ? 200 : Ok
+    return forwardContent(200, res, Buffer.from(JSON.stringify({ mails : mails }), 'utf-8'), 'application/json; charset=utf-8');
 }
 
 // * For code heavy files, I find it best to place exports at the bottom.
-export { checkGetRoute, checkPostRoute }
\ No newline at end of file
+export { checkRoute }
\ No newline at end of file
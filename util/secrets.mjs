@@ -0,0 +1,44 @@
+'use strict';
+import crypto from 'crypto';
+import { debugLog } from './logger.mjs';
+
+/*
+ * * Every secret has a single use, a leak or misuse of one can not forge what another signs.
+ * *     JWT_SECRET : signs Access-Tokens.
+ * *     COOKIE_SECRET : keys are derived from it for each purpose, 'cookie' signs cookie values, 'csrf' makes CSRF tokens.
+ * * The db pepper hashes passwords only, it is never used as a signing key.
+ * * Secrets are at least 32 characters, the server does not start while one is missing.
+ */
+const MIN_SECRET_LENGTH = 32;
+const REQUIRED_SECRETS = [ 'JWT_SECRET', 'COOKIE_SECRET' ];
+
+/**
+ *
+ * @param {String} name - ie: 'JWT_SECRET'
+ * @returns {String} secret
+ */
+export function getSecret(name) {
+    let secret = process.env[name];
+    if(!Boolean(secret) || secret.length < MIN_SECRET_LENGTH) { throw `${name} must be set to at least ${MIN_SECRET_LENGTH} characters.`; }
+    return secret;
+}
+
+/**
+ * A key of its own for each purpose, one can not be used to forge what another signs.
+ * @param {String} name - ie: 'COOKIE_SECRET'
+ * @param {String} purpose - ie: 'cookie'
+ * @returns {Buffer} HMAC-SHA256 of the purpose keyed with the secret.
+ */
+export function deriveKey(name, purpose) {
+    return crypto.createHmac('sha256', getSecret(name)).update(purpose).digest();
+}
+
+/**
+ * Throws when a required secret is missing, called before the server listens.
+ */
+export function checkSecrets() {
+    for(const name of REQUIRED_SECRETS) {
+        getSecret(name);
+    }
+    debugLog(3, 'Secrets are set: ', REQUIRED_SECRETS.join(', '));
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+'use strict';
+import crypto from 'crypto';
+import { IncomingMessage, ServerResponse } from 'http';
+import { isFromTrustedProxy } from './rate-limiter.mjs';
+
+/*
+ * * Every response is sent with the headers below, set before routing so declined and failed requests get them too.
+ * * Inline <script> blocks of the views run only with the nonce of their response, {{ cspNonce }}.
+ * * Config :
+ * *     FRAME_ANCESTORS : sources allowed to frame the board, ie: "'self' https://example.com" - "'none'" when not set.
+ * *     HSTS_MAX_AGE : seconds browsers keep to https, sent only over TLS - 180 days when not set, 0 turns it off.
+ * *     CSP_REPORT_URI : where browsers report blocked content.
+ * *     CSP_REPORT_ONLY : "true" reports the policy without enforcing it, while testing a change.
+ * *     PERMISSIONS_POLICY : replaces the default list of turned off browser features.
+ */
+const DEFAULT_FRAME_ANCESTORS = "'none'";
+const DEFAULT_HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+const DEFAULT_PERMISSIONS_POLICY = 'accelerometer=(), camera=(), geolocation=(), gyroscope=(), magnetometer=(), '
+                                    + 'microphone=(), payment=(), usb=()';
+
+/**
+ *
+ * @returns {String} base64 random nonce
+ */
+function createNonce() {
+    return crypto.randomBytes(16).toString('base64');
+}
+
+/**
+ * Https to the server, or to a trusted proxy in front of it.
+ * @param {IncomingMessage} req
+ * @returns {Boolean}
+ */
+function isSecureRequest(req) {
+    if(req.socket?.encrypted) { return true; }
+    if(!isFromTrustedProxy(req)) { return false; }
+
+    // * The first proto is the one the client used.
+    return String(req.headers['x-forwarded-proto'] ?? '').split(',')[0].trim().toLowerCase() == 'https';
+}
+
+/**
+ *
+ * @returns {Number} seconds, 0 when turned off.
+ */
+function getHstsMaxAge() {
+    let maxAge = Number.parseInt(process.env.HSTS_MAX_AGE);
+    if(!Number.isSafeInteger(maxAge) || maxAge < 0) { return DEFAULT_HSTS_MAX_AGE; }
+    return maxAge;
+}
+
+/**
+ *
+ * @param {String} nonce
+ * @param {String} frameAncestors
+ * @param {Boolean} isSecure
+ * @returns {String} Content-Security-Policy value
+ */
+function buildContentSecurityPolicy(nonce, frameAncestors, isSecure) {
+    let directives = [
+        "default-src 'self'",
+        `script-src 'self' 'nonce-${nonce}'`,
+        "style-src 'self'",
+        "img-src 'self' data:",
+        "connect-src 'self'",
+        "object-src 'none'",
+        "base-uri 'none'",
+        "form-action 'self'",
+        `frame-ancestors ${frameAncestors}`
+    ];
+    if(isSecure) {
+        directives.push('upgrade-insecure-requests');
+    }
+    if(Boolean(process.env.CSP_REPORT_URI)) {
+        directives.push(`report-uri ${process.env.CSP_REPORT_URI}`);
+    }
+    return directives.join('; ');
+}
+
+/**
+ * Sets the security headers of the response, its CSP nonce is kept as res.cspNonce for the views.
+ * @param {IncomingMessage} req
+ * @param {ServerResponse} res
+ */
+export function setSecurityHeaders(req, res) {
+    let nonce = createNonce();
+    let isSecure = isSecureRequest(req);
+    let frameAncestors = process.env.FRAME_ANCESTORS || DEFAULT_FRAME_ANCESTORS;
+
+    res.cspNonce = nonce;
+
+    let cspHeader = process.env.CSP_REPORT_ONLY == 'true' ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy';
+    res.setHeader(cspHeader, buildContentSecurityPolicy(nonce, frameAncestors, isSecure));
+
+    // * Older browsers only know X-Frame-Options, it can not list other sites.
+    if(frameAncestors == "'none'") {
+        res.setHeader('X-Frame-Options', 'DENY');
+    } else if(frameAncestors == "'self'") {
+        res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+    }
+
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    // * Reset links carry their code in the url, other sites are only sent the origin.
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    res.setHeader('Permissions-Policy', process.env.PERMISSIONS_POLICY || DEFAULT_PERMISSIONS_POLICY);
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+
+    let hstsMaxAge = getHstsMaxAge();
+    if(isSecure && hstsMaxAge > 0) {
+        res.setHeader('Strict-Transport-Security', `max-age=${hstsMaxAge}; includeSubDomains`);
+    }
+}
\ No newline at end of file
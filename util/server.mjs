@@ -3,7 +3,12 @@ import http from 'http';
 // import https from 'https';
 // import fs from 'fs';
 import { debugLog } from './logger.mjs';
-import { checkGetRoute, checkPostRoute } from './router.mjs';
+import { checkRoute } from './router.mjs';
+import { closeLiveFeed } from './live-feed.mjs';
+import { guardRequest, loadBans } from './rate-limiter.mjs';
+import { setSecurityHeaders } from './security-headers.mjs';
+import { checkSecrets } from './secrets.mjs';
+import { startMailWorker, stopMailWorker } from './mail-worker.mjs';
 
 // * Docker container uses HOSTNAME as env.
     // ! but it does not work as expected. just use the broadcast 0.0.0.0
@@ -16,40 +21,31 @@ const HOSTNAME = "0.0.0.0";
 
 const PORT = process.env.NODE_PORT || 3000;
 
+// * Tokens can not be signed without their secrets, the server does not start while one is missing.
+try {
+    checkSecrets();
+} catch (e) {
+    debugLog(1, 'CRITICAL! Server not started: ', e);
+    process.exit(1);
+}
+
 // const options = {
 //     key: fs.readFileSync("./.private/ssl-self-cert/key.pem"),
 //     cert: fs.readFileSync("./.private/ssl-self-cert/cert.pem")
 // };
 
-export var blackList = [ ];
-
 // const server = https.createServer(options);
 const server = http.createServer();
 
 server.on('request', (req, res) => {
 
-    // var ip = req.getHeader('X-Real-IP');
-
-    /* var ip = req?.ip 
-            || req?.connection?.remoteAddress 
-            || req?.socket?.remoteAddress 
-            || req?.connection?.socket?.remoteAddress; */
-
-    /* if(Boolean(ip)) {
-        if(blackList.indexOf(ip) > -1) {
-            return res.end();
-        }
-    } */
+    setSecurityHeaders(req, res);
 
-    if(req.method === 'GET') {
-        debugLog(3, 'Recieved GET req..');
-        return checkGetRoute(req, res);
-    }
+    // * Banned ips and requests over their limit are answered before routing.
+    if(!guardRequest(req, res)) { return ; }
 
-    if(req.method === 'POST') {
-        debugLog(3, 'Recieved POST req..');
-        return checkPostRoute(req, res);
-    }
+    debugLog(3, `Recieved ${req.method} req..`);
+    return checkRoute(req, res);
 });
 
 server.on('clientError', (err, socket) => {
@@ -60,9 +56,14 @@ server.listen(PORT, HOSTNAME, () => {
     debugLog(1, `Server running at http://${HOSTNAME}:${PORT}/`);
     debugLog(1, 'Developed by: ', process.env.DEV_NAME);
     debugLog(1, 'Now Listening...');
+    loadBans();
+    startMailWorker();
 });
 
 export function terminateServer() {
+    // * Live feed streams never end on their own, close them or the server waits forever.
+    closeLiveFeed();
+    stopMailWorker();
     server.close(() => debugLog(3, 'Node Server: closed'));
 }
 
@@ -0,0 +1,203 @@
+'use strict';
+import crypto from 'crypto';
+import { IncomingMessage, ServerResponse } from 'http';
+import { debugLog } from './logger.mjs';
+import { createJWT, isJWTValid, parseJWT, JWT_LIFETIME_SEC } from './jwtokenizer.mjs';
+import { parseCookies, serializeCookie, clearCookie, appendSetCookie } from './cookies.mjs';
+import { createSession, rotateSession, revokeReusedSession, isSessionActive, revokeSession, revokeSessionWRefresh, revokeLoginSessions } from '../db/db-session.mjs';
+
+/*
+ * * Access-Token : short lived JWT, its sid is checked against the session on every request so a revoked one stops at once.
+ * *     One issued before the last password reset is declined too.
+ * * Refresh-Token : random token of the session, traded for a new pair once the Access-Token has expired.
+ * *     Every refresh replaces it, a replaced token used again revokes the session as it has been copied.
+ * * SESSION_DAYS : days a session lasts without being used, 30 when not set.
+ */
+const ACCESS_COOKIE = 'Access-Token';
+const REFRESH_COOKIE = 'Refresh-Token';
+const DEFAULT_SESSION_DAYS = 30;
+// * Requests sent together by one page carry the same Refresh-Token, only the first of them can rotate it.
+const REUSE_GRACE_SEC = 30;
+
+/**
+ *
+ * @returns {Number} days
+ */
+function getSessionDays() {
+    let days = Number.parseInt(process.env.SESSION_DAYS);
+    if(!Number.isSafeInteger(days) || days < 1) { return DEFAULT_SESSION_DAYS; }
+    return days;
+}
+
+/**
+ * Refresh tokens are stored as hashes, a leaked table can not sign anyone in.
+ * @param {String} token
+ * @returns {String} sha256 hex
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ *
+ * @returns {String} base64url random token
+ */
+function createRefreshToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ *
+ * @param {Object} login - id, name, email, role
+ * @param {Number} sessionId
+ * @param {String} refreshToken
+ * @param {Number} days
+ * @returns {Object} accessToken, cookies - Set-Cookie values
+ */
+function issueTokens(login, sessionId, refreshToken, days) {
+    let accessToken = createJWT(login.id, login.name, login.email, login.role, sessionId);
+
+    return {
+        accessToken : accessToken,
+        cookies : [
+            serializeCookie(ACCESS_COOKIE, accessToken, { maxAge : JWT_LIFETIME_SEC }),
+            serializeCookie(REFRESH_COOKIE, refreshToken, { maxAge : days * 24 * 60 * 60 })
+        ]
+    };
+}
+
+/**
+ *
+ * @param {String} [accessToken]
+ * @returns {Promise<Object|null>} payload, null when the token is invalid or its session has ended.
+ */
+async function readAccessToken(accessToken) {
+    if(!Boolean(accessToken)) { return null; }
+
+    let jwtToken = parseJWT( accessToken );
+    if(!isJWTValid( jwtToken, true )) { return null; }
+
+    let payload = JSON.parse( jwtToken.payload );
+    if(!Number.isSafeInteger(payload.sid) || !Number.isSafeInteger(payload.iat)) { return null; }
+
+    let isActive = await isSessionActive(payload.sid, payload.client_id, payload.iat);
+    if(!isActive) {
+        debugLog(6, 'Access-Token of an ended session: ', payload.sid);
+        return null;
+    }
+
+    return payload;
+}
+
+/**
+ * Trades the Refresh-Token for a new pair, the cookies are added to the response.
+ * @param {String} [refreshToken]
+ * @param {ServerResponse} res
+ * @returns {Promise<Object|null>} payload of the new Access-Token, null when the session can not be refreshed.
+ */
+async function refreshSession(refreshToken, res) {
+    if(!Boolean(refreshToken)) { return null; }
+
+    let refreshHash = hashToken(refreshToken);
+    let nextToken = createRefreshToken();
+    let days = getSessionDays();
+
+    let login = await rotateSession(refreshHash, hashToken(nextToken), days);
+    if(!Boolean(login)) {
+        let reused = await revokeReusedSession(refreshHash, REUSE_GRACE_SEC);
+        if(Boolean(reused)) {
+            debugLog(1, `Replaced Refresh-Token used again, session: ${reused.id} of login: ${reused.login_id} revoked.`);
+        }
+        // * Cookies are left alone, a request that lost the race would clear the ones the other was just given.
+        return null;
+    }
+
+    let issued = issueTokens(login, login.session_id, nextToken, days);
+    appendSetCookie(res, issued.cookies);
+    debugLog(6, 'Session refreshed: ', login.session_id);
+
+    return JSON.parse( parseJWT(issued.accessToken).payload );
+}
+
+/**
+ * Signs the login in with a new session.
+ * @param {IncomingMessage} req
+ * @param {Object} login - id, name, email, role
+ * @returns {Promise<Array<String>>} Set-Cookie values
+ */
+export async function startSession(req, login) {
+    let refreshToken = createRefreshToken();
+    let days = getSessionDays();
+    let userAgent = req.headers['user-agent']?.slice(0, 256);
+
+    let session = await createSession(login.id, hashToken(refreshToken), userAgent, days);
+    if(!Boolean(session)) { throw 'Session was not created.'; }
+
+    return issueTokens(login, session.id, refreshToken, days).cookies;
+}
+
+/**
+ * Reads the signed in user, an expired Access-Token is refreshed while the session lasts.
+ * * Read once per request, later calls are given the same payload.
+ * @param {IncomingMessage} req
+ * @param {ServerResponse} res - new cookies are set on it when refreshed.
+ * @returns {Promise<Object|null>} JWT payload with client_id and sid, null when not signed in.
+ */
+export async function authenticate(req, res) {
+    if(req.accessPayload !== undefined) { return req.accessPayload; }
+
+    let cookies = parseCookies(req.headers.cookie);
+    let payload = await readAccessToken( cookies.get(ACCESS_COOKIE) );
+    if(!Boolean(payload)) {
+        payload = await refreshSession( cookies.get(REFRESH_COOKIE), res );
+    }
+
+    req.accessPayload = payload;
+    return payload;
+}
+
+/**
+ * Revokes the session of the request, with either of its tokens.
+ * @param {IncomingMessage} req
+ * @returns {Promise<Boolean>} true when a session was ended.
+ */
+export async function endSession(req) {
+    let cookies = parseCookies(req.headers.cookie);
+    let isEnded = false;
+
+    let refreshToken = cookies.get(REFRESH_COOKIE);
+    if(Boolean(refreshToken)) {
+        isEnded = await revokeSessionWRefresh( hashToken(refreshToken) );
+    }
+
+    let jwtToken = parseJWT( cookies.get(ACCESS_COOKIE) );
+    if(!isEnded && isJWTValid( jwtToken, true )) {
+        let sessionId = JSON.parse( jwtToken.payload ).sid;
+        if(Number.isSafeInteger(sessionId)) {
+            isEnded = await revokeSession(sessionId);
+        }
+    }
+
+    return isEnded;
+}
+
+/**
+ * Signs the login out everywhere.
+ * @param {Number} loginId
+ * @returns {Promise<Number>} count of sessions ended.
+ */
+export async function endAllSessions(loginId) {
+    let count = await revokeLoginSessions(loginId);
+    if(count === undefined) { throw `Sessions of login: ${loginId} were not revoked.`; }
+
+    debugLog(3, `Sessions ended for login: ${loginId}, count: ${count}`);
+    return count;
+}
+
+/**
+ *
+ * @returns {Array<String>} Set-Cookie values that remove both tokens.
+ */
+export function getClearedSessionCookies() {
+    return [ clearCookie(ACCESS_COOKIE), clearCookie(REFRESH_COOKIE) ];
+}
\ No newline at end of file
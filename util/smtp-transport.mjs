@@ -0,0 +1,259 @@
+'use strict';
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import { debugLog } from './logger.mjs';
+
+/*
+ * * SMTP_HOST, SMTP_PORT : the relay, localhost:25 when not set.
+ * * SMTP_SECURE : "true" connects with TLS, the port then defaults to 465.
+ * *     Otherwise STARTTLS is used when the relay offers it, SMTP_REQUIRE_TLS : "true" fails when it does not.
+ * * SMTP_TLS_REJECT_UNAUTHORIZED : "false" accepts self signed certificates of a local relay.
+ * * SMTP_USER, SMTP_PASS : login, when the relay requires one. It is only sent over TLS,
+ * *     SMTP_ALLOW_INSECURE_AUTH : "true" sends it in plaintext, for a relay on localhost.
+ * * SMTP_HELO_NAME : name given in EHLO, the hostname when not set.
+ */
+const DEFAULT_PORT = 25;
+const DEFAULT_SECURE_PORT = 465;
+const TIMEOUT_MS = 30 * 1000;
+
+/**
+ *
+ * @returns {Object} host, port, secure, requireTls, allowInsecureAuth, rejectUnauthorized, user, pass, heloName
+ */
+function getSmtpConfig() {
+    let secure = process.env.SMTP_SECURE === 'true';
+    let port = Number.parseInt(process.env.SMTP_PORT);
+
+    return {
+        host : process.env.SMTP_HOST || 'localhost',
+        port : Number.isSafeInteger(port) && port > 0 ? port : (secure ? DEFAULT_SECURE_PORT : DEFAULT_PORT),
+        secure : secure,
+        requireTls : process.env.SMTP_REQUIRE_TLS === 'true',
+        allowInsecureAuth : process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+        rejectUnauthorized : process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+        user : process.env.SMTP_USER,
+        pass : process.env.SMTP_PASS,
+        heloName : process.env.SMTP_HELO_NAME || os.hostname(),
+    };
+}
+
+/**
+ * Connection to the relay, replies are read in the order commands are written.
+ * @param {Object} config - see getSmtpConfig()
+ * @returns {Promise<Object>} command, startTls, close
+ */
+function openConnection(config) {
+    let socket = null;
+    let received = '';
+    let lines = [];
+    let waiting = null;
+    let failure = null;
+
+    // * A reply spans lines as "250-..." and ends with "250 ...".
+    function settle() {
+        if(!Boolean(waiting)) { return ; }
+        if(Boolean(failure)) {
+            let reject = waiting.reject;
+            waiting = null;
+            return reject(failure);
+        }
+
+        let last = lines.findIndex( (line) => /^\d{3}(?: |$)/.test(line) );
+        if(last < 0) { return ; }
+
+        let replyLines = lines.splice(0, last + 1);
+        let resolve = waiting.resolve;
+        waiting = null;
+        resolve({ code : Number.parseInt(replyLines[last].slice(0, 3)), lines : replyLines.map( (line) => line.slice(4) ) });
+    }
+
+    function onData(chunk) {
+        received += chunk.toString('utf-8');
+        let parts = received.split('\r\n');
+        received = parts.pop();
+        lines.push(...parts);
+        settle();
+    }
+
+    function onFailure(e) {
+        failure = failure ?? (e instanceof Error ? e : new Error(String(e)));
+        settle();
+    }
+
+    function attach(nextSocket) {
+        socket = nextSocket;
+        socket.setTimeout(TIMEOUT_MS, () => {
+            onFailure(new Error(`SMTP timed out after ${TIMEOUT_MS}ms.`));
+            socket.destroy();
+        });
+        socket.on('data', onData);
+        socket.on('error', onFailure);
+        socket.on('close', () => onFailure(new Error('SMTP connection closed.')));
+    }
+
+    /**
+     * @param {Array<Number>} expected - reply codes that succeed.
+     * @returns {Promise<Object>} code, lines
+     */
+    function readReply(expected) {
+        return new Promise( (resolve, reject) => {
+            waiting = { resolve, reject };
+            settle();
+        }).then( (reply) => {
+            if(!expected.includes(reply.code)) {
+                throw new Error(`SMTP replied: ${reply.code} ${reply.lines.join(' ')}`);
+            }
+            return reply;
+        });
+    }
+
+    /**
+     * @param {String|null} line - written with CRLF, null only reads the next reply.
+     * @param {Array<Number>} expected
+     * @returns {Promise<Object>} code, lines
+     */
+    function command(line, expected) {
+        if(line !== null) {
+            socket.write(`${line}\r\n`);
+        }
+        return readReply(expected);
+    }
+
+    async function startTls() {
+        await command('STARTTLS', [220]);
+
+        let plainSocket = socket;
+        plainSocket.removeAllListeners('data');
+        plainSocket.removeAllListeners('close');
+        plainSocket.setTimeout(0);
+
+        // * Nothing may follow the 220 in plaintext, replies injected there would be read as answers to encrypted commands.
+        if(received.length > 0 || lines.length > 0) {
+            plainSocket.destroy();
+            throw new Error('SMTP relay sent data after STARTTLS was accepted.');
+        }
+        received = '';
+        lines = [];
+
+        await new Promise( (resolve, reject) => {
+            let secureSocket = tls.connect({ socket : plainSocket, servername : config.host, rejectUnauthorized : config.rejectUnauthorized }, resolve);
+            secureSocket.once('error', reject);
+            attach(secureSocket);
+        });
+    }
+
+    function close() {
+        socket?.removeAllListeners('close');
+        socket?.end();
+    }
+
+    return new Promise( (resolve, reject) => {
+        let onConnectError = (e) => reject(e);
+        let options = { host : config.host, port : config.port, servername : config.host, rejectUnauthorized : config.rejectUnauthorized };
+        let connection = config.secure
+            ? tls.connect(options, () => resolve({ command, startTls, close }))
+            : net.connect(options, () => resolve({ command, startTls, close }));
+        connection.once('error', onConnectError);
+        attach(connection);
+    });
+}
+
+/**
+ *
+ * @param {Object} reply - lines of the EHLO reply.
+ * @returns {Set<String>} extensions in upper case, ie: STARTTLS, AUTH PLAIN LOGIN
+ */
+function getExtensions(reply) {
+    return new Set( reply.lines.slice(1).map( (line) => line.trim().toUpperCase() ) );
+}
+
+/**
+ * Greets, secures and logs in to the relay.
+ * @param {Object} config - see getSmtpConfig()
+ * @returns {Promise<Object>} connection
+ */
+async function openSession(config) {
+    let connection = await openConnection(config);
+    try {
+        await connection.command(null, [220]);
+        let extensions = getExtensions( await connection.command(`EHLO ${config.heloName}`, [250]) );
+
+        let isEncrypted = config.secure;
+        if(!config.secure) {
+            if(extensions.has('STARTTLS')) {
+                await connection.startTls();
+                isEncrypted = true;
+                // * Extensions are sent again once the connection is secure.
+                extensions = getExtensions( await connection.command(`EHLO ${config.heloName}`, [250]) );
+            } else if(config.requireTls) {
+                throw new Error('SMTP relay does not offer STARTTLS.');
+            }
+        }
+
+        if(Boolean(config.user)) {
+            if(!isEncrypted && !config.allowInsecureAuth) {
+                throw new Error('SMTP relay is not encrypted, the login is not sent in plaintext.');
+            }
+            let auth = [...extensions].find( (extension) => extension.startsWith('AUTH') ) ?? '';
+            if(auth.split(' ').includes('PLAIN')) {
+                let credentials = Buffer.from(`\u0000${config.user}\u0000${config.pass ?? ''}`, 'utf-8').toString('base64');
+                await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+            } else {
+                await connection.command('AUTH LOGIN', [334]);
+                await connection.command(Buffer.from(config.user, 'utf-8').toString('base64'), [334]);
+                await connection.command(Buffer.from(config.pass ?? '', 'utf-8').toString('base64'), [235]);
+            }
+        }
+
+        return connection;
+
+    } catch (e) {
+        connection.close();
+        throw e;
+    }
+}
+
+/**
+ *
+ * @param {Object} envelope - from, to, raw - raw is the full message with headers.
+ * @returns {Object} id - the queue id the relay replied with.
+ */
+async function send(envelope) {
+    let config = getSmtpConfig();
+    let connection = await openSession(config);
+    try {
+        await connection.command(`MAIL FROM:<${envelope.from}>`, [250]);
+        await connection.command(`RCPT TO:<${envelope.to}>`, [250, 251]);
+        await connection.command('DATA', [354]);
+
+        // * Lines end in CRLF, and a line starting with a dot is doubled so it is not read as the end.
+        let data = String(envelope.raw).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+        let reply = await connection.command(`${data}\r\n.`, [250]);
+
+        await connection.command('QUIT', [221]).catch( () => {} );
+        return { id : reply.lines.join(' ') };
+
+    } finally {
+        connection.close();
+    }
+}
+
+/**
+ *
+ * @returns {Boolean} true when the relay accepts the connection and login.
+ */
+async function verify() {
+    try {
+        let config = getSmtpConfig();
+        let connection = await openSession(config);
+        await connection.command('QUIT', [221]).catch( () => {} );
+        connection.close();
+
+        debugLog(3, `SMTP relay ready at: ${config.host}:${config.port}`);
+        return true;
+
+    } catch (e) { debugLog(1, 'SMTP Mailer Test Failed: ', e, ' | ', e.stack); return false; }
+}
+
+export { send, verify };
\ No newline at end of file
@@ -0,0 +1,318 @@
+'use strict';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { IncomingMessage, ServerResponse } from 'http';
+import { debugLog } from './logger.mjs';
+import { negotiateEncoding, isCompressible, compressContent, getCompressMinBytes } from './compression.mjs';
+
+/*
+ * * Files under a root folder are served at their path, ie: ./public/resources/css/style.css at /css/style.css
+ * * Paths that leave the root, dotfiles and folders are not served, the next handler answers them.
+ * * ETag and Last-Modified are sent with every file, a client that already has it is answered 304 without the body.
+ * * A single byte range is answered 206, a client can resume a download or seek without the whole file.
+ * * Text files are sent compressed, each encoding is compressed once and kept until the file changes.
+ */
+const DAY_SEC = 24 * 60 * 60;
+// * Larger files are sent as they are, rather than held in memory.
+const MAX_COMPRESS_FILE_BYTES = 2 * 1024 * 1024;
+const MAX_COMPRESS_CACHE_BYTES = 32 * 1024 * 1024;
+
+/** @type {Map<String, Object>} "filePath encoding" to eTag, content : Promise<Buffer>, size */
+const compressedCache = new Map();
+let compressedCacheBytes = 0;
+
+// * extension : [ Content-Type, Cache-Control ]
+// ? Stylesheets are not fingerprinted, browsers check them again after an hour so a deploy is seen.
+const MIME_TYPES = new Map( [
+    [ '.css', [ 'text/css; charset=utf-8', 'public, max-age=3600' ] ],
+    [ '.js', [ 'text/javascript; charset=utf-8', 'public, max-age=3600' ] ],
+    [ '.mjs', [ 'text/javascript; charset=utf-8', 'public, max-age=3600' ] ],
+    [ '.map', [ 'application/json; charset=utf-8', 'public, max-age=3600' ] ],
+    [ '.json', [ 'application/json; charset=utf-8', 'public, max-age=3600' ] ],
+    [ '.txt', [ 'text/plain; charset=utf-8', 'public, max-age=3600' ] ],
+    [ '.svg', [ 'image/svg+xml', `public, max-age=${7 * DAY_SEC}` ] ],
+    [ '.png', [ 'image/png', `public, max-age=${7 * DAY_SEC}` ] ],
+    [ '.jpg', [ 'image/jpeg', `public, max-age=${7 * DAY_SEC}` ] ],
+    [ '.jpeg', [ 'image/jpeg', `public, max-age=${7 * DAY_SEC}` ] ],
+    [ '.gif', [ 'image/gif', `public, max-age=${7 * DAY_SEC}` ] ],
+    [ '.webp', [ 'image/webp', `public, max-age=${7 * DAY_SEC}` ] ],
+    [ '.avif', [ 'image/avif', `public, max-age=${7 * DAY_SEC}` ] ],
+    [ '.ico', [ 'image/x-icon', `public, max-age=${7 * DAY_SEC}` ] ],
+    [ '.woff2', [ 'font/woff2', `public, max-age=${30 * DAY_SEC}` ] ],
+    [ '.woff', [ 'font/woff', `public, max-age=${30 * DAY_SEC}` ] ],
+    [ '.ttf', [ 'font/ttf', `public, max-age=${30 * DAY_SEC}` ] ],
+    [ '.mp4', [ 'video/mp4', `public, max-age=${7 * DAY_SEC}` ] ],
+    [ '.webm', [ 'video/webm', `public, max-age=${7 * DAY_SEC}` ] ],
+    [ '.pdf', [ 'application/pdf', `public, max-age=${DAY_SEC}` ] ],
+] );
+const DEFAULT_MIME_TYPE = [ 'application/octet-stream', `public, max-age=${DAY_SEC}` ];
+
+/**
+ *
+ * @param {String} filePath
+ * @returns {Array<String>} Content-Type, Cache-Control
+ */
+function getMimeType(filePath) {
+    return MIME_TYPES.get( path.extname(filePath).toLowerCase() ) ?? DEFAULT_MIME_TYPE;
+}
+
+/**
+ * Finds the file of the url path within the root.
+ * @param {String} root
+ * @param {String} urlPath - ie: "/css/style.css"
+ * @returns {Promise<Object|null>} filePath, stats - null when the path is not a servable file.
+ */
+async function resolveFile(root, urlPath) {
+    let decodedPath;
+    try {
+        decodedPath = decodeURIComponent(urlPath);
+    } catch (e) { return null; }
+
+    // * Null bytes, backslashes and dotfiles (.env, .git, ..) are never served.
+    if(decodedPath.includes('\0') || decodedPath.includes('\\')) { return null; }
+    let segments = decodedPath.split('/').filter( (segment) => Boolean(segment) );
+    if(segments.length == 0 || segments.some( (segment) => segment.startsWith('.') )) { return null; }
+
+    try {
+        // ? realpath follows links, a link that points out of the root is caught below.
+        let realRoot = await fs.realpath( path.resolve(root) );
+        let filePath = await fs.realpath( path.join(realRoot, ...segments) );
+        if(!filePath.startsWith(realRoot + path.sep)) {
+            debugLog(3, 'Static path left the root: ', urlPath);
+            return null;
+        }
+
+        let stats = await fs.stat(filePath);
+        if(!stats.isFile()) { return null; }
+
+        return { filePath : filePath, stats : stats };
+    } catch (e) {
+        if(e.code != 'ENOENT' && e.code != 'ENOTDIR') { debugLog(3, '', e, e.stack); }
+        return null;
+    }
+}
+
+/**
+ * Size and modified time, a changed file gets another tag.
+ * @param {Object} stats - fs.Stats
+ * @returns {String} ie: "\"2f1a-18c0e3b1f20\""
+ */
+function createETag(stats) {
+    return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ *
+ * @param {String} header - If-None-Match, a list of tags or "*".
+ * @param {String} eTag
+ * @returns {Boolean}
+ */
+function isETagListed(header, eTag) {
+    if(header.trim() == '*') { return true; }
+    // ? Weak comparison, W/ is ignored.
+    return header.split(',').some( (tag) => tag.trim().replace(/^W\//, '') == eTag );
+}
+
+/**
+ *
+ * @param {IncomingMessage} req
+ * @param {String} eTag
+ * @param {Date} lastModified
+ * @returns {Boolean} true when the client already has the file.
+ */
+function isNotModified(req, eTag, lastModified) {
+    // * If-Modified-Since is ignored when If-None-Match is sent.
+    let ifNoneMatch = req.headers['if-none-match'];
+    if(ifNoneMatch !== undefined) { return isETagListed(ifNoneMatch, eTag); }
+
+    let ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    if(Number.isNaN(ifModifiedSince)) { return false; }
+    // ? Http dates have no milliseconds.
+    return Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Reads a single range of the Range header, other units and lists of ranges are answered with the whole file.
+ * @param {IncomingMessage} req
+ * @param {Number} size
+ * @param {String} eTag
+ * @param {Date} lastModified
+ * @returns {Object|null|false} start, end - null for the whole file, false when the range can not be satisfied.
+ */
+function parseRange(req, size, eTag, lastModified) {
+    let header = req.headers.range;
+    if(!Boolean(header)) { return null; }
+
+    // * If-Range : the range is only sent when the client's copy is still the current one.
+    let ifRange = req.headers['if-range'];
+    if(ifRange !== undefined && ifRange != eTag && ifRange != lastModified.toUTCString()) { return null; }
+
+    let match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+    if(!Boolean(match) || (match[1] === '' && match[2] === '')) { return null; }
+
+    let start, end;
+    if(match[1] === '') {
+        // ? "bytes=-500" is the last 500 bytes.
+        let suffixLength = Number.parseInt(match[2]);
+        if(suffixLength == 0) { return false; }
+        start = Math.max(size - suffixLength, 0);
+        end = size - 1;
+    } else {
+        start = Number.parseInt(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number.parseInt(match[2]), size - 1);
+    }
+
+    if(!Number.isSafeInteger(start) || !Number.isSafeInteger(end) || start >= size || start > end) { return false; }
+    return { start : start, end : end };
+}
+
+/**
+ * Encoding to send the file with, ranges are of the file as it is stored so they are sent without one.
+ * @param {IncomingMessage} req
+ * @param {Number} size
+ * @returns {String|null} 'br' | 'gzip'
+ */
+function getFileEncoding(req, size) {
+    if(Boolean(req.headers.range) || size < getCompressMinBytes() || size > MAX_COMPRESS_FILE_BYTES) { return null; }
+    return negotiateEncoding(req.headers['accept-encoding']);
+}
+
+/**
+ * The compressed copy of the file, compressed again only when its tag has changed.
+ * @param {String} filePath
+ * @param {String} encoding - 'br' | 'gzip'
+ * @param {String} eTag - of the file as it is stored.
+ * @returns {Promise<Buffer>}
+ */
+async function getCompressedFile(filePath, encoding, eTag) {
+    let key = `${filePath} ${encoding}`;
+    let cached = compressedCache.get(key);
+    if(Boolean(cached) && cached.eTag == eTag) { return cached.content; }
+
+    if(Boolean(cached)) {
+        compressedCache.delete(key);
+        compressedCacheBytes -= cached.size;
+    }
+
+    // * The promise is kept, requests that arrive while it compresses wait for the same copy.
+    let entry = { eTag : eTag, size : 0 };
+    entry.content = fs.readFile(filePath).then( (content) => compressContent(content, encoding, true) );
+    compressedCache.set(key, entry);
+
+    // * The entry may be replaced by a newer tag while it compresses, only the one still cached is counted.
+    try {
+        let content = await entry.content;
+        if(compressedCache.get(key) !== entry) { return content; }
+        entry.size = content.byteLength;
+        compressedCacheBytes += entry.size;
+    } catch (e) {
+        if(compressedCache.get(key) === entry) { compressedCache.delete(key); }
+        throw e;
+    }
+
+    // ? Oldest copies are dropped first, Map keeps the order they were added.
+    for(const [ oldKey, oldEntry ] of compressedCache) {
+        if(compressedCacheBytes <= MAX_COMPRESS_CACHE_BYTES || oldKey == key) { break; }
+        // ? Copies still compressing have no size yet, they are counted and can be dropped once done.
+        if(oldEntry.size == 0) { continue; }
+        compressedCache.delete(oldKey);
+        compressedCacheBytes -= oldEntry.size;
+    }
+
+    return entry.content;
+}
+
+/**
+ *
+ * @param {IncomingMessage} req
+ * @param {ServerResponse} res
+ * @param {String} filePath
+ * @param {Object} [range] - start, end
+ */
+async function sendFile(req, res, filePath, range) {
+    if(req.method == 'HEAD') { return res.end(); }
+
+    try {
+        await pipeline( createReadStream(filePath, range ?? {}), res );
+    } catch (e) {
+        // * The client closing the connection mid file is not an error of the server.
+        if(e.code != 'ERR_STREAM_PREMATURE_CLOSE') { debugLog(3, 'Static file failed to send: ', filePath, e, e.stack); }
+        res.destroy();
+    }
+}
+
+/**
+ * Handler that serves the files under the root, requests for any other path are passed to next().
+ * @param {String} root - ie: "./public/resources"
+ * @param {Object} [options]
+ * @param {String} [options.path] - serve this url path instead of the one requested, ie: "/images/comment-stack-fav.svg"
+ * @returns {Function} (req, res, next)
+ */
+export function serveStatic(root, options = {}) {
+    return async (req, res, next) => {
+        if(req.method != 'GET' && req.method != 'HEAD') { return await next(); }
+
+        let urlPath = options.path ?? req.path ?? String(req.url).split('?')[0];
+        let file = await resolveFile(root, urlPath);
+        if(!Boolean(file)) { return await next(); }
+
+        let [ contentType, cacheControl ] = getMimeType(file.filePath);
+        let fileETag = createETag(file.stats);
+        let lastModified = file.stats.mtime;
+        let size = file.stats.size;
+
+        let encoding = null;
+        if(isCompressible(contentType)) {
+            res.setHeader('Vary', 'Accept-Encoding');
+            encoding = getFileEncoding(req, size);
+        }
+        // * Each encoding is its own representation, it needs its own tag.
+        let eTag = Boolean(encoding) ? `${fileETag.slice(0, -1)}-${encoding}"` : fileETag;
+
+        res.setHeader('ETag', eTag);
+        res.setHeader('Last-Modified', lastModified.toUTCString());
+        res.setHeader('Cache-Control', cacheControl);
+        res.setHeader('Accept-Ranges', 'bytes');
+
+        if(isNotModified(req, eTag, lastModified)) {
+            // ? 304 : Not Modified
+            res.statusCode = 304;
+            return res.end();
+        }
+
+        res.setHeader('Content-Type', contentType);
+
+        if(Boolean(encoding)) {
+            let content = await getCompressedFile(file.filePath, encoding, fileETag);
+            // ? 200 : Ok
+            res.statusCode = 200;
+            res.setHeader('Content-Encoding', encoding);
+            res.setHeader('Content-Length', content.byteLength);
+            return res.end(req.method == 'HEAD' ? undefined : content);
+        }
+
+        let range = parseRange(req, size, eTag, lastModified);
+        if(range === false) {
+            // ? 416 : Range Not Satisfiable
+            res.statusCode = 416;
+            res.setHeader('Content-Range', `bytes */${size}`);
+            res.setHeader('Content-Length', 0);
+            return res.end();
+        }
+
+        if(Boolean(range)) {
+            // ? 206 : Partial Content
+            res.statusCode = 206;
+            res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+            res.setHeader('Content-Length', range.end - range.start + 1);
+        } else {
+            // ? 200 : Ok
+            res.statusCode = 200;
+            res.setHeader('Content-Length', size);
+        }
+
+        await sendFile(req, res, file.filePath, range);
+    };
+}
\ No newline at end of file
@@ -0,0 +1,291 @@
+'use strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { debugLog } from './logger.mjs';
+import { escapeHTML } from './common-parsers.mjs';
+
+/*
+ * * Views in public/view are templates:
+ * *     {{ name }}               escaped value, paths can be dotted: {{ comment.author }}
+ * *     {{{ name }}}             raw value, only for html built by the server.
+ * *     {{#if name}} {{else}} {{/if}}, {{#unless name}} {{/unless}}
+ * *     {{#each list}} {{ this }} {{ @index }} {{else}} {{/each}} - items are searched first, then the outer values.
+ * *     {{> name key="text" }}   public/view/partials/name.html, keys are added to the values it is given.
+ * *     {{! comment }}
+ * * Compiled views are cached, TEMPLATE_CACHE : "false" reads them again on every render while editing.
+ */
+const VIEW_DIR = './public/view';
+const PARTIAL_DIR = 'partials';
+
+const TAG_REGEX = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const PATH_REGEX = /^(?:this|@index|@first|@last|[A-Za-z_$][\w$]*)(?:\.[A-Za-z_$][\w$]*)*$/;
+const PARTIAL_REGEX = /^([\w-]+)((?:\s+[A-Za-z_$][\w$]*="[^"]*")*)$/;
+const PARTIAL_ARG_REGEX = /([A-Za-z_$][\w$]*)="([^"]*)"/g;
+
+/** @type {Map<String, Promise<Function>>} view name to its render function. */
+const templates = new Map();
+
+/**
+ *
+ * @returns {Boolean}
+ */
+function isCacheEnabled() {
+    return process.env.TEMPLATE_CACHE !== 'false';
+}
+
+/**
+ * Looks a path up in the innermost scope that has its first key.
+ * @param {Array<Object>} scopes - innermost last.
+ * @param {String} valuePath
+ * @returns {*} value
+ */
+function lookup(scopes, valuePath) {
+    let keys = valuePath.split('.');
+    let scope = scopes[scopes.length - 1];
+
+    if(keys[0] == 'this') {
+        keys.shift();
+    } else {
+        for(let i = scopes.length - 1; i >= 0; i--) {
+            if(scopes[i] != null && typeof scopes[i] == 'object' && keys[0] in scopes[i]) {
+                scope = scopes[i];
+                break;
+            }
+        }
+    }
+
+    return keys.reduce( (value, key) => value?.[key], scope );
+}
+
+/**
+ * Empty lists are false, so {{#if list}} can guard the markup around a loop.
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * @param {String} templateName
+ * @param {String} source
+ * @param {Number} index - position of the tag.
+ * @param {String} message
+ */
+function templateError(templateName, source, index, message) {
+    let line = source.slice(0, index).split('\n').length;
+    return `Template: ${templateName} line: ${line} | ${message}`;
+}
+
+/**
+ *
+ * @param {String} templateName
+ * @param {String} source
+ * @param {Number} index
+ * @param {String} valuePath
+ * @returns {String} valuePath
+ */
+function checkPath(templateName, source, index, valuePath) {
+    if(!PATH_REGEX.test(valuePath)) {
+        throw templateError(templateName, source, index, `"${valuePath}" is not a value path.`);
+    }
+    return valuePath;
+}
+
+/**
+ * Splits the source into text, values, blocks and partials.
+ * @param {String} templateName
+ * @param {String} source
+ * @returns {Object} nodes, partialNames
+ */
+function parse(templateName, source) {
+    let root = { nodes : [] };
+    let stack = [ root ];
+    let partialNames = new Set();
+    let lastIndex = 0;
+
+    let current = () => stack[stack.length - 1];
+    let append = (node) => {
+        let block = current();
+        (block.isElse ? block.elseNodes : block.nodes).push(node);
+    };
+
+    for(const match of source.matchAll(TAG_REGEX)) {
+        if(match.index > lastIndex) {
+            append({ type : 'text', value : source.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        if(match[1] !== undefined) {
+            append({ type : 'value', path : checkPath(templateName, source, match.index, match[1]), isRaw : true });
+            continue;
+        }
+
+        let tag = match[2];
+        let sign = tag[0];
+        let body = tag.slice(1).trim();
+
+        if(sign == '!') { continue; }
+
+        if(sign == '#') {
+            let [ blockType, blockPath = '' ] = body.split(/\s+/);
+            if(!['if', 'unless', 'each'].includes(blockType)) {
+                throw templateError(templateName, source, match.index, `Unknown block "#${blockType}".`);
+            }
+            let block = { type : blockType, path : checkPath(templateName, source, match.index, blockPath), nodes : [], elseNodes : [], isElse : false, index : match.index };
+            append(block);
+            stack.push(block);
+            continue;
+        }
+
+        if(sign == '/') {
+            let block = current();
+            if(stack.length == 1 || block.type != body) {
+                throw templateError(templateName, source, match.index, `"/${body}" does not close an open block.`);
+            }
+            stack.pop();
+            continue;
+        }
+
+        if(sign == '>') {
+            let partial = PARTIAL_REGEX.exec(body);
+            if(!Boolean(partial)) {
+                throw templateError(templateName, source, match.index, `"${body}" is not a partial.`);
+            }
+            let args = {};
+            for(const arg of partial[2].matchAll(PARTIAL_ARG_REGEX)) {
+                args[arg[1]] = arg[2];
+            }
+            partialNames.add(partial[1]);
+            append({ type : 'partial', name : partial[1], args : args });
+            continue;
+        }
+
+        if(tag == 'else') {
+            let block = current();
+            if(stack.length == 1 || block.isElse) {
+                throw templateError(templateName, source, match.index, '"else" is not inside a block.');
+            }
+            block.isElse = true;
+            continue;
+        }
+
+        append({ type : 'value', path : checkPath(templateName, source, match.index, tag), isRaw : false });
+    }
+
+    if(stack.length > 1) {
+        let block = current();
+        throw templateError(templateName, source, block.index, `"#${block.type}" is never closed.`);
+    }
+    if(lastIndex < source.length) {
+        append({ type : 'text', value : source.slice(lastIndex) });
+    }
+
+    return { nodes : root.nodes, partialNames : partialNames };
+}
+
+/**
+ * Turns the nodes into one function, partials are found in the table when rendered.
+ * @param {Array<Object>} nodes
+ * @param {Map<String, Function>} partialTable
+ * @returns {Function} (scopes) => html
+ */
+function compileNodes(nodes, partialTable) {
+    let parts = nodes.map( (node) => {
+        switch(node.type) {
+            case 'text':
+                return () => node.value;
+
+            case 'value':
+                return node.isRaw
+                    ? (scopes) => String(lookup(scopes, node.path) ?? '')
+                    : (scopes) => escapeHTML(lookup(scopes, node.path));
+
+            case 'if':
+            case 'unless': {
+                let renderThen = compileNodes(node.nodes, partialTable);
+                let renderElse = compileNodes(node.elseNodes, partialTable);
+                let isNegated = node.type == 'unless';
+                return (scopes) => isTruthy(lookup(scopes, node.path)) != isNegated ? renderThen(scopes) : renderElse(scopes);
+            }
+
+            case 'each': {
+                let renderItem = compileNodes(node.nodes, partialTable);
+                let renderElse = compileNodes(node.elseNodes, partialTable);
+                return (scopes) => {
+                    let list = lookup(scopes, node.path);
+                    if(!isTruthy(list)) { return renderElse(scopes); }
+
+                    let items = Array.from(list);
+                    return items.map( (item, i) => {
+                        let loop = { '@index' : i, '@first' : i == 0, '@last' : i == items.length - 1 };
+                        return renderItem([ ...scopes, loop, item ]);
+                    }).join('');
+                };
+            }
+
+            case 'partial':
+                return (scopes) => {
+                    let renderPartial = partialTable.get(node.name);
+                    return Object.keys(node.args).length > 0 ? renderPartial([ ...scopes, node.args ]) : renderPartial(scopes);
+                };
+        }
+    });
+
+    return (scopes) => parts.map( (part) => part(scopes) ).join('');
+}
+
+/**
+ * Compiles the template, and the partials it uses into the same table.
+ * @param {String} templateName - path within public/view
+ * @param {Map<String, Function>} partialTable
+ * @returns {Promise<Function>} (scopes) => html
+ */
+async function compileFile(templateName, partialTable) {
+    let source = await fs.readFile(path.join(VIEW_DIR, templateName), { encoding : 'utf-8' });
+    let { nodes, partialNames } = parse(templateName, source);
+    let render = compileNodes(nodes, partialTable);
+
+    for(const partialName of partialNames) {
+        // * Added before it is compiled, so a partial can render itself, ie: replies of a comment.
+        if(partialTable.has(partialName)) { continue; }
+        partialTable.set(partialName, null);
+        partialTable.set(partialName, await compileFile(path.join(PARTIAL_DIR, `${partialName}.html`), partialTable));
+    }
+
+    return render;
+}
+
+/**
+ *
+ * @param {String} templateName - path within public/view, ie: "404.html"
+ * @returns {Promise<Function>} (scopes) => html
+ */
+function getTemplate(templateName) {
+    if(!isCacheEnabled() || !templates.has(templateName)) {
+        let compiling = compileFile(templateName, new Map());
+        templates.set(templateName, compiling);
+        compiling.catch( () => templates.delete(templateName) );
+    }
+    return templates.get(templateName);
+}
+
+/**
+ *
+ * @param {String} templateName - path within public/view, ie: "404.html"
+ * @param {Object} [values]
+ * @returns {Promise<String>} html
+ */
+export async function renderTemplate(templateName, values = {}) {
+    try {
+        let render = await getTemplate(templateName);
+        return render([ values ]);
+    } catch (e) {
+        debugLog(1, 'Template Render Failed: ', e, ' | ', e.stack);
+        throw e;
+    }
+}
+
+export function clearTemplateCache() {
+    templates.clear();
+}
\ No newline at end of file
@@ -0,0 +1,73 @@
+'use strict';
+import { renderTemplate } from './template-engine.mjs';
+
+/**
+ * Values of one comment and its loaded replies, for partials/comment.html.
+ * @param {Object} commentNode - node from buildThreadTree()
+ * @param {String} sort - 'new' | 'top'
+ * @returns {Object} comment values
+ */
+function toCommentValues(commentNode, sort) {
+    // * Tombstones keep their place so the replies stay attached, the client does not offer to reply to them.
+    let commentClass = commentNode.deleted ? 'comment deleted' : 'comment';
+    // * Pending comments are only shown to their author, they can not be replied to or voted on until approved.
+    if(commentNode.pending) { commentClass += ' pending'; }
+
+    let hideBtns = commentNode.deleted || commentNode.pending ? ' hidden deleted' : ' hidden';
+    let replies = commentNode.replies.map( (reply) => toCommentValues(reply, sort) );
+    let lastReply = commentNode.replies[commentNode.replies.length - 1];
+
+    return {
+        id : commentNode.id,
+        commentClass : commentClass,
+        author : commentNode.author,
+        content : commentNode.content,
+        edited : Boolean(commentNode.edited),
+        pending : Boolean(commentNode.pending),
+        owned : Boolean(commentNode.owned),
+        score : Number(commentNode.score),
+        upVoteClass : `upVoteBtn${hideBtns}${commentNode.vote > 0 ? ' voted' : ''}`,
+        downVoteClass : `downVoteBtn${hideBtns}${commentNode.vote < 0 ? ' voted' : ''}`,
+        replies : replies,
+        // * Replies past the first few are loaded after the last one shown, by its score as well when sorted by score.
+        loadAfter : commentNode.reply_count > replies.length && replies.length > 0
+            ? (sort == 'top' ? `${lastReply.score}:${lastReply.id}` : lastReply.id) : null
+    };
+}
+
+/**
+ * Renders a thread page with its comments.
+ * @param {String} viewName - index.html or commenting.html
+ * @param {Array<Object>} threads - top level nodes from buildThreadTree()
+ * @param {Number|String} [nextCursor] - id to continue the next page after, "score:id" when sorted by score.
+ * @param {String} [sort] - 'new' | 'top'
+ * @param {Object} [pageValues] - values of the page itself, ie: csrfToken, cspNonce
+ * @returns {Promise<String>} html
+ */
+export function exportCommentPage(viewName, threads, nextCursor, sort = 'new', pageValues = {}) {
+    return renderTemplate(viewName, {
+        ...pageValues,
+        threads : threads.map( (thread) => toCommentValues(thread, sort) ),
+        nextCursor : nextCursor,
+        sort : sort,
+        isNewSort : sort == 'new'
+    });
+}
+
+/**
+ * Renders the moderation page with the pending and flagged comments.
+ * @param {String} viewName - moderation.html
+ * @param {Array<Object>} pendingComments - rows from getPendingComments()
+ * @param {Array<Object>} flaggedComments - rows from getFlaggedComments()
+ * @param {Object} [pageValues] - values of the page itself, ie: csrfToken, cspNonce
+ * @returns {Promise<String>} html
+ */
+export function exportModerationPage(viewName, pendingComments, flaggedComments, pageValues = {}) {
+    return renderTemplate(viewName, {
+        ...pageValues,
+        pending : pendingComments,
+        flagged : flaggedComments.map( (flaggedComment) => {
+            return { ...flaggedComment, isHidden : flaggedComment.status == 'pending' };
+        })
+    });
+}
\ No newline at end of file
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Converts a public comment row into the node shape shared by the JSON api.
+ * * The author's id is not shared, only if the comment belongs to the viewer.
+ * @param {Object} row - comment_id, content, thread_id, user, created, [edited], [user_id], [deleted], [score], [status], [viewer_vote], [reply_count]
+ * @param {Number} [viewerId] - client_id of the signed in user.
+ * @returns {Object} id, parent_id, author, content, created, edited, deleted, pending, owned, score, vote, reply_count, replies
+ */
+export function toThreadNode(row, viewerId) {
+    return {
+        id : row.comment_id,
+        parent_id : row.thread_id ?? null,
+        author : row.user,
+        content : row.content,
+        created : row.created,
+        edited : row.edited ?? null,
+        deleted : Boolean(row.deleted),
+        pending : row.status == 'pending', // * Only the author is sent their pending comments.
+        owned : Boolean(viewerId) && row.user_id == viewerId,
+        score : row.score ?? 0,
+        vote : row.viewer_vote ?? 0,
+        reply_count : row.reply_count ?? 0,
+        replies : []
+    };
+}
+
+/**
+ * Nests the flat comment rows under their parent comment.
+ * * Rows whose parent is not part of the list are placed at the top level so they are never lost.
+ * @param {Array<Object>} rows - result of getAllThreadsPublic(), getThreadPagePublic() or getReplyPagePublic()
+ * @param {Number} [viewerId] - client_id of the signed in user.
+ * @returns {Array<Object>} top level thread nodes with nested replies
+ */
+export function buildThreadTree(rows, viewerId) {
+    let nodeMap = new Map();
+    let threads = [ ];
+
+    for(const row of rows) {
+        nodeMap.set(row.comment_id, toThreadNode(row, viewerId));
+    }
+
+    for(const node of nodeMap.values()) {
+        let parent = nodeMap.get(node.parent_id);
+        if(Boolean(parent) && parent !== node) {
+            parent.replies.push(node);
+        } else {
+            threads.push(node);
+        }
+    }
+
+    // * Rows from getAllThreadsPublic() do not count replies, every reply is already nested.
+    for(const node of nodeMap.values()) {
+        node.reply_count = Math.max(node.reply_count, node.replies.length);
+    }
+
+    return threads;
+}
\ No newline at end of file